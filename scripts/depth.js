@@ -0,0 +1,118 @@
+// scripts/depth.js
+// Depth benchmark for the minimax levels: how deep a level's search gets
+// within its limits (AI_LEVELS in src/ai.js), and when each depth finished.
+//
+//   node scripts/depth.js --level MINIMAX3
+//   node scripts/depth.js --plies 0,20,40 --rules small
+//   node scripts/depth.js --position "<position string>"
+//
+// Positions are the start and the positions --plies GREEDY moves into a game
+// from it, or --position. Every search starts with an empty transposition
+// table, as the first move of a game does.
+import { RULE_PRESETS, createGame } from "../src/engine.js";
+import { parsePosition } from "../src/notation.js";
+import { AI_LEVELS, pickGreedy, searchMinimax } from "../src/ai.js";
+import { createTable } from "../src/transposition.js";
+
+const LEVELS = Object.keys(AI_LEVELS).filter((id) => AI_LEVELS[id].maxDepth);
+const USAGE = `Usage: node scripts/depth.js [options]
+  --level <id>       ${LEVELS.join(" or ")} (default MINIMAX3)
+  --plies <n,...>    GREEDY moves into the game of each position (default 0,20)
+  --rules <id>       rule preset: ${RULE_PRESETS.map((p) => p.id).join(", ")}
+                     (default standard; ignored with --position)
+  --position <text>  search this position string instead`;
+
+function parseArgs(argv) {
+  const opts = {
+    level: "MINIMAX3",
+    plies: [0, 20],
+    rules: "standard",
+    position: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--level") opts.level = value().toUpperCase();
+    else if (arg === "--plies") {
+      const v = value();
+      opts.plies = v.split(",").map(Number);
+      if (!opts.plies.every((n) => Number.isInteger(n) && n >= 0))
+        throw new Error(`--plies: expected whole numbers ≥ 0, got "${v}"`);
+    } else if (arg === "--rules") opts.rules = value();
+    else if (arg === "--position") opts.position = value();
+    else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!LEVELS.includes(opts.level))
+    throw new Error(`Unknown minimax level "${opts.level}"`);
+  if (!RULE_PRESETS.some((p) => p.id === opts.rules))
+    throw new Error(`Unknown rule preset "${opts.rules}"`);
+  return opts;
+}
+
+// The game `plies` GREEDY moves on from `game`, or null if it ends first
+function playOn(game, plies) {
+  for (let i = 0; i < plies; i++) {
+    if (game.result()) return null;
+    const { board, toMove, bounce, rules } = game;
+    game = game.play(pickGreedy(board, toMove, bounce, rules));
+  }
+  return game.result() ? null : game;
+}
+
+// Milliseconds at which each depth finished, and how long the search took
+function measure(game, limits) {
+  const { board, toMove, bounce, rules } = game;
+  const finished = [];
+  const start = Date.now();
+  searchMinimax(board, toMove, {
+    ...limits,
+    bounce,
+    rules,
+    tt: createTable(),
+    onDepth: (depth) => depth > 1 && finished.push(Date.now() - start),
+  });
+  const total = Date.now() - start;
+  // The last depth started finished unless the deadline stopped it
+  if (total < limits.timeMs) finished.push(total);
+  return { finished, total };
+}
+
+function main() {
+  let opts;
+  let positions;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+    if (opts.position) positions = [["position", parsePosition(opts.position)]];
+    else {
+      const rules = RULE_PRESETS.find((p) => p.id === opts.rules).rules;
+      const start = createGame({ rules });
+      positions = opts.plies.map((n) => [`after ${n} plies`, playOn(start, n)]);
+    }
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const limits = AI_LEVELS[opts.level];
+  console.log(
+    `${opts.level}: depth ≤ ${limits.maxDepth}, ${limits.timeMs} ms budget`
+  );
+  for (const [label, game] of positions) {
+    if (!game) {
+      console.log(`${label}: the game is over by then`);
+      continue;
+    }
+    const { finished, total } = measure(game, limits);
+    const times = finished.map((ms, i) => `d${i + 1} ${ms}`).join("  ");
+    console.log(
+      `${label}: reached depth ${finished.length} in ${total} ms (${times})`
+    );
+  }
+}
+
+main();
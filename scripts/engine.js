@@ -0,0 +1,225 @@
+// scripts/engine.js
+// Serves a built-in engine over the TURRIM engine protocol (see
+// src/protocol.js) on stdin / stdout.
+//
+//   node scripts/engine.js --engine MINIMAX3
+//
+// --engine is an AI level id (RANDOM, GREEDY, MINIMAX2, MINIMAX3, MCTS_ITER,
+// MCTS_TIME). "go depth" and "go movetime" replace a minimax level's limits,
+// "go movetime" an MCTS level's playout budget; RANDOM and GREEDY answer at
+// once whatever the limits.
+//
+// The search runs on a worker thread so "stop" and "isready" are answered
+// while it thinks. On "stop" a minimax search answers with the best move of
+// its last finished depth; other engines, or a search stopped before depth 1,
+// fall back to the GREEDY move. The end of input stops a search the same way
+// before the engine exits.
+//
+// After a "position" it could not read, the engine answers "go" with
+// "bestmove none" until it gets a good one.
+import {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} from "node:worker_threads";
+import { createInterface } from "node:readline";
+import {
+  AI_LEVELS,
+  pickGreedy,
+  pickMove,
+  pickRandom,
+  searchMinimax,
+} from "../src/ai.js";
+import { DEFAULT_RULES, createGame } from "../src/engine.js";
+import { searchMcts } from "../src/mcts.js";
+import {
+  moveToText,
+  parsePosition,
+  positionToString,
+} from "../src/notation.js";
+import {
+  parseCommand,
+  parseGoArgs,
+  parsePositionArgs,
+  parseRulesArgs,
+} from "../src/protocol.js";
+
+const USAGE = `Usage: node scripts/engine.js [--engine <id>]
+  --engine <id>   AI level: ${Object.keys(AI_LEVELS).join(", ")}
+                  (default MINIMAX3)`;
+
+/* ================== Search (worker thread) ================== */
+// Best move for `game` at `level` within the "go" limits; `onBest(depth,
+// move)` follows a minimax search's finished depths.
+function search(game, level, { depth, movetime, infinite }, onBest) {
+  const { board, toMove: color, bounce, rules } = game;
+  const limits = AI_LEVELS[level];
+  if (limits.mcts) {
+    const { iterations, timeMs, ...mcts } = limits.mcts;
+    const budget = infinite
+      ? { iterations: Infinity }
+      : movetime != null
+      ? { timeMs: movetime }
+      : { iterations, timeMs };
+    return searchMcts(board, color, { ...mcts, ...budget, bounce, rules });
+  }
+  if (!limits.maxDepth) return pickMove(board, color, level, { bounce, rules });
+  const fixed = depth != null || movetime != null;
+  return searchMinimax(board, color, {
+    maxDepth: infinite
+      ? Infinity
+      : depth ?? (fixed ? Infinity : limits.maxDepth),
+    timeMs: infinite
+      ? Infinity
+      : movetime ?? (fixed ? Infinity : limits.timeMs),
+    bounce,
+    rules,
+    onDepth: (d, best) => best && onBest(d - 1, best),
+  });
+}
+
+function runWorker() {
+  const { position, level, go } = workerData;
+  const game = parsePosition(position);
+  const move = search(game, level, go, (depth, best) =>
+    parentPort.postMessage({ type: "info", depth, move: best })
+  );
+  parentPort.postMessage({ type: "result", move });
+}
+
+/* ================== Protocol (main thread) ================== */
+function parseArgs(argv) {
+  const opts = { engine: "MINIMAX3" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--engine") {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      opts.engine = argv[++i];
+    } else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!AI_LEVELS[opts.engine])
+    throw new Error(`Unknown engine "${opts.engine}"`);
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const send = (line) => process.stdout.write(`${line}\n`);
+
+  let rules = DEFAULT_RULES;
+  let game = createGame(); // null after a bad "position"
+  // Running search: { worker, game, best } with the best move reported so far
+  let running = null;
+
+  function finish(move) {
+    const { worker, game: searched } = running;
+    running = null;
+    worker.terminate();
+    send(`bestmove ${moveToText(move, searched.board.length)}`);
+  }
+
+  function go(args) {
+    const limits = parseGoArgs(args);
+    if (!game) {
+      send("info string go: no valid position");
+      send("bestmove none");
+      return;
+    }
+    if (game.result() || !game.legalMoves().length) {
+      send("bestmove none");
+      return;
+    }
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: {
+        position: positionToString(game),
+        level: opts.engine,
+        go: limits,
+      },
+    });
+    const job = { worker, game, best: null };
+    running = job;
+    worker.on("message", (msg) => {
+      if (running !== job) return;
+      if (msg.type === "info") {
+        job.best = msg.move;
+        send(
+          `info depth ${msg.depth} best ${moveToText(
+            msg.move,
+            game.board.length
+          )}`
+        );
+      } else finish(msg.move);
+    });
+    worker.on("error", (e) => {
+      if (running !== job) return;
+      send(`info string search failed: ${e.message}`);
+      stop();
+    });
+  }
+
+  function stop() {
+    if (!running) return;
+    const { game: g, best } = running;
+    finish(
+      best ||
+        pickGreedy(g.board, g.toMove, g.bounce, g.rules) ||
+        pickRandom(g.legalMoves(), g.toMove, g.bounce, g.rules)
+    );
+  }
+
+  let quitting = false;
+  const input = createInterface({ input: process.stdin });
+  input.on("line", (line) => {
+    const { name, args } = parseCommand(line);
+    try {
+      if (name === "turrim") {
+        send(`id name TURRIM ${opts.engine}`);
+        send("id author TURRIM");
+        send("turrimok");
+      } else if (name === "isready") send("readyok");
+      else if (name === "newgame") {
+        if (running) running.worker.terminate();
+        running = null;
+        game = createGame({ rules });
+      } else if (name === "rules") {
+        rules = parseRulesArgs(args);
+        game = createGame({ rules });
+      } else if (name === "position") {
+        game = null;
+        game = parsePositionArgs(args, rules);
+      } else if (name === "go") {
+        if (running) {
+          // A new search replaces one that was never stopped
+          running.worker.terminate();
+          running = null;
+        }
+        go(args);
+      } else if (name === "stop") stop();
+      else if (name === "quit") {
+        quitting = true;
+        input.close();
+      }
+    } catch (e) {
+      send(`info string ${name}: ${e.message}`);
+    }
+  });
+  // "quit" or the end of input: nothing else may keep the process alive. A
+  // controller that closed our input still gets its answer.
+  input.on("close", () => {
+    if (quitting) running?.worker.terminate();
+    else stop();
+  });
+}
+
+if (isMainThread) main();
+else runWorker();
@@ -0,0 +1,340 @@
+// scripts/match.js
+// Plays a match between two engine processes that speak the TURRIM engine
+// protocol (see src/protocol.js), arbitrating every move.
+//
+//   node scripts/match.js \
+//     --first "node scripts/engine.js --engine MINIMAX3" \
+//     --second "python3 my_bot.py" --games 4 --movetime 1000
+//
+// The engines alternate colours, the first taking Red in game 1. Each turn
+// the engine to move gets the game so far ("position startpos moves ...")
+// and a "go" with the --depth / --movetime limits, and must answer
+// "bestmove". An engine loses the game by:
+//   - an illegal move, or "bestmove none" while it has legal moves
+//   - no answer within --movetime plus --margin: it is sent "stop" and has
+//     --margin more to answer (without --movetime it has --timeout)
+//   - exiting; the match then stops
+// Repetition, Crossing and Lockout, and draws by repeated position or move
+// limit, are decided by the engine rules as in the app. A game still running
+// after --max-plies is a draw.
+import { spawn } from "node:child_process";
+import { createInterface } from "node:readline";
+import { writeFileSync } from "node:fs";
+import { RULE_PRESETS, createGame, opponent } from "../src/engine.js";
+import {
+  formatRecord,
+  moveToText,
+  recordDate,
+  resultToken,
+} from "../src/notation.js";
+import {
+  goCommand,
+  parseBestmove,
+  playMoves,
+  positionCommand,
+  rulesCommand,
+} from "../src/protocol.js";
+
+const USAGE = `Usage: node scripts/match.js --first <command> --second <command> [options]
+  --first <cmd>     command line of the first engine (Red in odd games)
+  --second <cmd>    command line of the second engine
+  --games <n>       games to play (default 2)
+  --depth <n>       "go depth" limit
+  --movetime <ms>   "go movetime" limit (default 1000 unless --depth is given)
+  --margin <ms>     grace past --movetime, and after "stop" (default 1000)
+  --timeout <ms>    longest wait for a move without --movetime (default 60000)
+  --max-plies <n>   length cap; longer games are draws (default 300)
+  --opening <n>     random opening plies per game (default 0)
+  --seed <n>        random seed for the opening plies (default 1)
+  --rules <id>      rule preset: ${RULE_PRESETS.map((p) => p.id).join(", ")}
+                    (default standard)
+  --out <file>      write the game records here
+  --verbose         echo everything the engines say`;
+
+// How long an engine gets to start up and to get ready for a game
+const HANDSHAKE_MS = 10000;
+
+function parseArgs(argv) {
+  const opts = {
+    first: null,
+    second: null,
+    games: 2,
+    depth: null,
+    movetime: null,
+    margin: 1000,
+    timeout: 60000,
+    maxPlies: 300,
+    opening: 0,
+    seed: 1,
+    rules: "standard",
+    out: null,
+    verbose: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    const int = () => {
+      const v = value();
+      const n = Number(v);
+      if (!Number.isInteger(n) || n < 0)
+        throw new Error(`${arg}: expected a whole number, got "${v}"`);
+      return n;
+    };
+    if (arg === "--first") opts.first = value();
+    else if (arg === "--second") opts.second = value();
+    else if (arg === "--games") opts.games = int();
+    else if (arg === "--depth") opts.depth = int();
+    else if (arg === "--movetime") opts.movetime = int();
+    else if (arg === "--margin") opts.margin = int();
+    else if (arg === "--timeout") opts.timeout = int();
+    else if (arg === "--max-plies") opts.maxPlies = int();
+    else if (arg === "--opening") opts.opening = int();
+    else if (arg === "--seed") opts.seed = int();
+    else if (arg === "--rules") opts.rules = value();
+    else if (arg === "--out") opts.out = value();
+    else if (arg === "--verbose") opts.verbose = true;
+    else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!opts.first || !opts.second)
+    throw new Error("Need --first and --second engine commands");
+  if (opts.games < 1) throw new Error("--games must be at least 1");
+  if (opts.depth === 0 || opts.movetime === 0)
+    throw new Error("--depth and --movetime must be at least 1");
+  if (opts.depth == null && opts.movetime == null) opts.movetime = 1000;
+  if (!RULE_PRESETS.some((p) => p.id === opts.rules))
+    throw new Error(`Unknown rule preset "${opts.rules}"`);
+  return opts;
+}
+
+// Seeded generator for the opening plies
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ================== Engine processes ================== */
+/**
+ * Starts `command` in a shell. Its output lines are queued; waitFor(test,
+ * ms) takes lines off the queue until one passes `test` and resolves with
+ * it, or with null after `ms` or once the process has exited.
+ */
+function startEngine(command, { verbose }) {
+  const child = spawn(command, {
+    shell: true,
+    stdio: ["pipe", "pipe", "inherit"],
+  });
+  const engine = { name: command, exited: false };
+  const queue = [];
+  let waiter = null; // { test, resolve, timer }
+
+  const settle = (line) => {
+    const w = waiter;
+    waiter = null;
+    clearTimeout(w.timer);
+    w.resolve(line);
+  };
+  const drain = () => {
+    while (waiter && queue.length) {
+      const line = queue.shift();
+      if (waiter.test(line)) settle(line);
+    }
+    if (waiter && engine.exited) settle(null);
+  };
+
+  createInterface({ input: child.stdout }).on("line", (raw) => {
+    const line = raw.trim();
+    if (verbose) console.error(`${engine.name} > ${line}`);
+    queue.push(line);
+    drain();
+  });
+  child.on("error", (e) => {
+    console.error(`${command}: ${e.message}`);
+  });
+  child.on("exit", () => {
+    engine.exited = true;
+    drain();
+  });
+  child.stdin.on("error", () => {}); // writes after it exits
+
+  return Object.assign(engine, {
+    send(line) {
+      if (verbose) console.error(`${engine.name} < ${line}`);
+      if (!engine.exited) child.stdin.write(`${line}\n`);
+    },
+    waitFor(test, ms) {
+      return new Promise((resolve) => {
+        waiter = { test, resolve, timer: setTimeout(() => settle(null), ms) };
+        drain();
+      });
+    },
+    async quit() {
+      engine.send("quit");
+      child.stdin.end();
+      if (!engine.exited) {
+        const exited = new Promise((r) => child.once("exit", r));
+        const timer = setTimeout(() => child.kill(), 2000);
+        await exited;
+        clearTimeout(timer);
+      }
+    },
+  });
+}
+
+async function handshake(engine) {
+  engine.send("turrim");
+  const ok = await engine.waitFor((line) => {
+    if (line.startsWith("id name ")) engine.name = line.slice(8).trim();
+    return line === "turrimok";
+  }, HANDSHAKE_MS);
+  if (!ok) throw new Error(`${engine.name}: no "turrimok" reply`);
+}
+
+/* ================== Games ================== */
+// { winner, termination, detail, moves } for one game; `players` maps
+// colours to engines
+async function playGame(players, opts, rules, rng) {
+  let game = createGame({ rules });
+  const moves = [];
+  const texts = [];
+  const end = (winner, termination, detail = null) => ({
+    winner,
+    termination,
+    detail,
+    moves,
+  });
+  const forfeit = (color, termination, detail) =>
+    end(opponent(color), termination, detail);
+
+  for (const engine of Object.values(players)) {
+    engine.send("newgame");
+    engine.send(rulesCommand(rules));
+    engine.send("isready");
+    if (!(await engine.waitFor((l) => l === "readyok", HANDSHAKE_MS)))
+      return forfeit(
+        Object.keys(players).find((c) => players[c] === engine),
+        engine.exited ? "Crash" : "Time forfeit",
+        "not ready"
+      );
+  }
+
+  while (!game.result() && moves.length < opts.maxPlies) {
+    const color = game.toMove;
+    const engine = players[color];
+    let text;
+    if (moves.length < opts.opening) {
+      const legal = game.legalMoves();
+      text = moveToText(legal[Math.floor(rng() * legal.length)], rules.size);
+    } else {
+      engine.send(positionCommand(texts));
+      engine.send(goCommand(opts));
+      const wait =
+        opts.movetime != null ? opts.movetime + opts.margin : opts.timeout;
+      let reply = await engine.waitFor(parseBestmove, wait);
+      if (!reply && !engine.exited) {
+        engine.send("stop");
+        reply = await engine.waitFor(parseBestmove, opts.margin);
+      }
+      if (!reply)
+        return forfeit(color, engine.exited ? "Crash" : "Time forfeit");
+      text = parseBestmove(reply);
+    }
+    if (text === "none") return forfeit(color, "Illegal move", "bestmove none");
+    try {
+      const played = playMoves(game, [text]);
+      game = played.game;
+      moves.push(played.moves[0]);
+      texts.push(moveToText(played.moves[0], rules.size));
+    } catch {
+      return forfeit(color, "Illegal move", text);
+    }
+  }
+  const result = game.result();
+  return result
+    ? end(result.winner, result.reason || result.mode)
+    : end(null, "Length cap");
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const rules = RULE_PRESETS.find((p) => p.id === opts.rules).rules;
+  const rng = mulberry32(opts.seed);
+
+  const engines = [opts.first, opts.second].map((cmd) =>
+    startEngine(cmd, opts)
+  );
+  const score = [0, 0];
+  const records = [];
+  let failure = null;
+  try {
+    for (const engine of engines) await handshake(engine);
+    for (let g = 0; g < opts.games; g++) {
+      const [red, blue] = g % 2 === 0 ? engines : [engines[1], engines[0]];
+      const res = await playGame({ R: red, B: blue }, opts, rules, rng);
+      const winner =
+        res.winner === "R" ? red : res.winner === "B" ? blue : null;
+      if (winner) score[engines.indexOf(winner)]++;
+      else {
+        score[0] += 0.5;
+        score[1] += 0.5;
+      }
+      console.log(
+        `Game ${g + 1}: ${red.name} (Red) vs ${blue.name} (Blue): ` +
+          `${winner ? winner.name : "draw"} by ${res.termination}` +
+          `${res.detail ? ` (${res.detail})` : ""} in ${res.moves.length} plies`
+      );
+      records.push(
+        formatRecord(
+          {
+            Red: red.name,
+            Blue: blue.name,
+            Mode: "Engine match",
+            Date: recordDate(),
+            // A game stopped at the length cap has no result
+            Result: resultToken(
+              res.termination !== "Length cap" && { winner: res.winner }
+            ),
+            Termination: res.termination,
+          },
+          res.moves,
+          rules.size
+        )
+      );
+      if (engines.some((e) => e.exited)) {
+        failure = "an engine exited; match stopped";
+        break;
+      }
+    }
+  } catch (e) {
+    failure = e.message;
+  }
+  await Promise.all(engines.map((e) => e.quit()));
+
+  if (failure) console.error(failure);
+  console.log(
+    `\n${engines[0].name} ${score[0]} – ${score[1]} ${engines[1].name}`
+  );
+  if (opts.out && records.length) {
+    writeFileSync(opts.out, records.join("\n"));
+    console.error(`Game records written to ${opts.out}`);
+  }
+  if (failure) process.exitCode = 1;
+}
+
+main();
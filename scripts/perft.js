@@ -0,0 +1,175 @@
+// scripts/perft.js
+// Move-count benchmark for the packed search board (src/packed.js), checked
+// against the engine's own legalMoves.
+//
+//   node scripts/perft.js --depth 5 --rules standard
+//   node scripts/perft.js --depth 3 --position "<position string>" --check
+//
+// For each depth up to --depth it counts the positions that many plies ahead
+// twice: with perft on the packed board (make / unmake, mobility counts) and
+// by walking legalMoves and applyMove on the engine board, and prints both
+// counts and speeds. --check also compares, at every node of the last depth,
+// the packed move list and mobility counts with legalMoves and
+// countLegalMoves, and the board after every unmake with the one before;
+// it is slow, so keep --depth at 3 or so with it. Exits with status 1 on any
+// difference.
+import {
+  RULE_PRESETS,
+  applyMove,
+  countLegalMoves,
+  createGame,
+  crossingAfterMove,
+  crossingVictory,
+  legalMoves,
+  moveKey,
+  opponent,
+} from "../src/engine.js";
+import { parsePosition } from "../src/notation.js";
+import {
+  BLUE,
+  RED,
+  makeMove,
+  packBoard,
+  packedMoves,
+  perft,
+  squareIndex,
+  unmakeMove,
+  unpackBoard,
+} from "../src/packed.js";
+
+const USAGE = `Usage: node scripts/perft.js [options]
+  --depth <n>        deepest count (default 4)
+  --rules <id>       rule preset: ${RULE_PRESETS.map((p) => p.id).join(", ")}
+                     (default standard; ignored with --position)
+  --position <text>  count from this position string instead of the start
+  --check            compare every node of the last depth in detail`;
+
+function parseArgs(argv) {
+  const opts = { depth: 4, rules: "standard", position: null, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "--depth") {
+      const v = value();
+      opts.depth = Number(v);
+      if (!Number.isInteger(opts.depth) || opts.depth < 1)
+        throw new Error(
+          `--depth: expected a positive whole number, got "${v}"`
+        );
+    } else if (arg === "--rules") opts.rules = value();
+    else if (arg === "--position") opts.position = value();
+    else if (arg === "--check") opts.check = true;
+    else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!RULE_PRESETS.some((p) => p.id === opts.rules))
+    throw new Error(`Unknown rule preset "${opts.rules}"`);
+  return opts;
+}
+
+// Reference count on the engine board, by the same rules as perft
+function perftBoard(board, color, depth, rules) {
+  if (depth === 0) return 1;
+  if (crossingVictory(board)) return 0;
+  const moves = legalMoves(board, color, rules);
+  if (depth === 1) return moves.length;
+  let total = 0;
+  for (const m of moves) {
+    const nb = applyMove(board, m);
+    if (!crossingAfterMove(nb, m))
+      total += perftBoard(nb, opponent(color), depth - 1, rules);
+  }
+  return total;
+}
+
+const boardText = (board) => board.map((row) => row.join("|")).join("/");
+const movesText = (moves) =>
+  moves.map((m) => `${moveKey(m)}${m.kind}`).join(" ");
+
+// Walks the tree on both boards at once; returns the first difference
+function checkTree(p, board, color, depth, rules, path = []) {
+  const where = path.length ? ` after ${path.join(" ")}` : " at the root";
+  const packedR = p.mobility[RED];
+  const packedB = p.mobility[BLUE];
+  const countR = countLegalMoves(board, "R", rules);
+  const countB = countLegalMoves(board, "B", rules);
+  if (packedR !== countR || packedB !== countB)
+    return `mobility ${packedR}/${packedB}, expected ${countR}/${countB}${where}`;
+  const moves = legalMoves(board, color, rules);
+  if (movesText(packedMoves(p, color)) !== movesText(moves))
+    return `move list differs${where}`;
+  if (!depth || crossingVictory(board)) return null;
+  const before = boardText(board);
+  for (const m of moves) {
+    const [from, to] = [squareIndex(p, m.src), squareIndex(p, m.dst)];
+    makeMove(p, from, to);
+    const nb = applyMove(board, m);
+    const error = checkTree(p, nb, opponent(color), depth - 1, rules, [
+      ...path,
+      moveKey(m),
+    ]);
+    unmakeMove(p, from, to);
+    if (error) return error;
+    if (boardText(unpackBoard(p)) !== before)
+      return `unmake of ${moveKey(m)} left a different board${where}`;
+  }
+  return null;
+}
+
+function main() {
+  let opts;
+  let game;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+    game = opts.position
+      ? parsePosition(opts.position)
+      : createGame({
+          rules: RULE_PRESETS.find((p) => p.id === opts.rules).rules,
+        });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const { board, toMove, rules } = game;
+  const p = packBoard(board, rules);
+  let failed = false;
+
+  console.log("depth  positions   packed ms  nodes/s     board ms  nodes/s");
+  for (let depth = 1; depth <= opts.depth; depth++) {
+    let t = Date.now();
+    const packed = perft(p, toMove, depth);
+    const packedMs = Date.now() - t;
+    t = Date.now();
+    const reference = perftBoard(board, toMove, depth, rules);
+    const boardMs = Date.now() - t;
+    const rate = (ms) => (ms ? Math.round((packed / ms) * 1000) : "-");
+    console.log(
+      [
+        String(depth).padEnd(5),
+        String(packed).padStart(10),
+        String(packedMs).padStart(11),
+        String(rate(packedMs)).padStart(8),
+        String(boardMs).padStart(12),
+        String(rate(boardMs)).padStart(8),
+        packed === reference ? "" : `  MISMATCH: board count ${reference}`,
+      ].join(" ")
+    );
+    if (packed !== reference) failed = true;
+  }
+
+  if (opts.check) {
+    const error = checkTree(p, board, toMove, opts.depth, rules);
+    console.log(
+      error ? `Check failed: ${error}` : `Check passed to depth ${opts.depth}`
+    );
+    if (error) failed = true;
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,161 @@
+// scripts/puzzles.js
+// Mines "win in N" puzzles from self-play games and writes a puzzle pack.
+//
+//   node scripts/puzzles.js --games 40 --seed 3 --max-moves 2 \
+//     --out src/puzzlePack.json
+//
+// Every position of every game is tested with findPuzzle (see
+// src/puzzles.js): the side to move must have exactly one first move that
+// forces a win in at most --max-moves of its own moves. Repeated positions
+// are kept once. Games open with --opening random plies (from the seed) and
+// are then played by --engine, an AI level id (GREEDY by default).
+import { writeFileSync } from "node:fs";
+import { AI_LEVELS, pickMove } from "../src/ai.js";
+import { RULE_PRESETS, createGame } from "../src/engine.js";
+import { positionToString } from "../src/notation.js";
+import {
+  MAX_PUZZLE_MOVES,
+  findPuzzle,
+  puzzleEntry,
+  readPack,
+} from "../src/puzzles.js";
+
+const USAGE = `Usage: node scripts/puzzles.js [options]
+  --games <n>       self-play games to mine (default 20)
+  --seed <n>        random seed (default 1)
+  --min-moves <n>   shortest puzzle kept, in the solver's moves (default 1)
+  --max-moves <n>   longest puzzle kept (default 2, at most ${MAX_PUZZLE_MOVES})
+  --count <n>       stop after this many puzzles (default 50)
+  --engine <id>     AI level that plays the games (default GREEDY)
+  --opening <n>     random opening plies per game (default 4)
+  --max-plies <n>   length cap per game (default 120)
+  --rules <id>      rule preset: ${RULE_PRESETS.map((p) => p.id).join(", ")}
+                    (default standard)
+  --name <text>     pack name (default "Mined puzzles")
+  --out <file>      write the pack here instead of printing it`;
+
+function parseArgs(argv) {
+  const opts = {
+    games: 20,
+    seed: 1,
+    minMoves: 1,
+    maxMoves: 2,
+    count: 50,
+    engine: "GREEDY",
+    opening: 4,
+    maxPlies: 120,
+    rules: "standard",
+    name: "Mined puzzles",
+    out: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    const int = () => {
+      const v = value();
+      const n = Number(v);
+      if (!Number.isInteger(n) || n < 0)
+        throw new Error(`${arg}: expected a whole number, got "${v}"`);
+      return n;
+    };
+    if (arg === "--games") opts.games = int();
+    else if (arg === "--seed") opts.seed = int();
+    else if (arg === "--min-moves") opts.minMoves = int();
+    else if (arg === "--max-moves") opts.maxMoves = int();
+    else if (arg === "--count") opts.count = int();
+    else if (arg === "--engine") opts.engine = value();
+    else if (arg === "--opening") opts.opening = int();
+    else if (arg === "--max-plies") opts.maxPlies = int();
+    else if (arg === "--rules") opts.rules = value();
+    else if (arg === "--name") opts.name = value();
+    else if (arg === "--out") opts.out = value();
+    else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (opts.maxMoves < 1 || opts.maxMoves > MAX_PUZZLE_MOVES)
+    throw new Error(`--max-moves must be 1–${MAX_PUZZLE_MOVES}`);
+  if (opts.minMoves < 1 || opts.minMoves > opts.maxMoves)
+    throw new Error("--min-moves must be from 1 to --max-moves");
+  if (!AI_LEVELS[opts.engine])
+    throw new Error(`Unknown engine "${opts.engine}"`);
+  if (!RULE_PRESETS.some((p) => p.id === opts.rules))
+    throw new Error(`Unknown rule preset "${opts.rules}"`);
+  return opts;
+}
+
+// Seeded generator; installed as Math.random so the engines follow the seed
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  Math.random = mulberry32(opts.seed);
+  const rules = RULE_PRESETS.find((p) => p.id === opts.rules).rules;
+
+  const seen = new Set();
+  const puzzles = [];
+  let positions = 0;
+  for (let g = 0; g < opts.games && puzzles.length < opts.count; g++) {
+    let game = createGame({ rules });
+    for (let ply = 0; ply < opts.maxPlies && !game.result(); ply++) {
+      const legal = game.legalMoves();
+      const move =
+        ply < opts.opening
+          ? legal[Math.floor(Math.random() * legal.length)]
+          : pickMove(game.board, game.toMove, opts.engine, {
+              bounce: game.bounce,
+              rules,
+            });
+      if (!move) break;
+      if (ply >= opts.opening) {
+        const key = positionToString(game);
+        if (!seen.has(key)) {
+          seen.add(key);
+          positions++;
+          const found = findPuzzle(game, opts);
+          if (found) {
+            const id = String(puzzles.length + 1).padStart(3, "0");
+            puzzles.push(puzzleEntry(id, game, found));
+            console.error(
+              `#${id}: win in ${found.moves} (game ${g + 1}, ply ${ply + 1})`
+            );
+            if (puzzles.length >= opts.count) break;
+          }
+        }
+      }
+      game = game.play(move);
+    }
+  }
+
+  const pack = { name: opts.name, puzzles };
+  if (puzzles.length) readPack(pack); // sanity check before saving
+  const text = `${JSON.stringify(pack, null, 2)}\n`;
+  console.error(
+    `${puzzles.length} puzzles from ${positions} positions` +
+      ` in ${opts.games} games or fewer`
+  );
+  if (opts.out) {
+    writeFileSync(opts.out, text);
+    console.error(`Pack written to ${opts.out}`);
+  } else process.stdout.write(text);
+}
+
+main();
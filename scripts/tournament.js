@@ -0,0 +1,320 @@
+// scripts/tournament.js
+// Headless round-robin between computer players, with Elo estimates.
+//
+//   node scripts/tournament.js --engines GREEDY,MINIMAX-3,MCTS-2000 \
+//     --games 20 --seed 7 --max-plies 300 --out results.json
+//
+// Engines are AI level ids (RANDOM, GREEDY, MINIMAX2, MCTS_TIME, ...) or
+//   MINIMAX-<depth>   fixed-depth search, no time limit
+//   MCTS-<n>          MCTS with n playouts
+// Fixed-depth and fixed-playout engines are reproducible for a given seed;
+// time-limited levels depend on machine speed.
+//
+// --rules picks a rule preset (see RULE_PRESETS in src/engine.js).
+//
+// Each pair plays --games games, alternating who takes Red. Every game opens
+// with --opening random plies (from the seed) so deterministic engines don't
+// replay one game over and over. A game still running after --max-plies is a
+// draw, as is one drawn by the rules (repeated position, move limit).
+import { writeFileSync } from "node:fs";
+import { AI_LEVELS, pickMove, searchMinimax } from "../src/ai.js";
+import { RULE_PRESETS, createGame } from "../src/engine.js";
+import { searchMcts } from "../src/mcts.js";
+import { moveToText } from "../src/notation.js";
+import { createTable } from "../src/transposition.js";
+
+const USAGE = `Usage: node scripts/tournament.js --engines A,B[,C...] [options]
+  --games <n>       games per pairing (default 10)
+  --seed <n>        random seed (default 1)
+  --max-plies <n>   length cap; longer games are draws (default 300)
+  --opening <n>     random opening plies per game (default 2)
+  --rules <id>      rule preset: ${RULE_PRESETS.map((p) => p.id).join(", ")}
+                    (default standard)
+  --out <file>      write JSON results
+  --quiet           no per-game lines`;
+
+function parseArgs(argv) {
+  const opts = {
+    engines: [],
+    games: 10,
+    seed: 1,
+    maxPlies: 300,
+    opening: 2,
+    rules: "standard",
+    out: null,
+    quiet: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    const int = () => {
+      const v = value();
+      const n = Number(v);
+      if (!Number.isInteger(n) || n < 0)
+        throw new Error(`${arg}: expected a whole number, got "${v}"`);
+      return n;
+    };
+    if (arg === "--engines") opts.engines = value().split(",").filter(Boolean);
+    else if (arg === "--games") opts.games = int();
+    else if (arg === "--seed") opts.seed = int();
+    else if (arg === "--max-plies") opts.maxPlies = int();
+    else if (arg === "--opening") opts.opening = int();
+    else if (arg === "--rules") opts.rules = value();
+    else if (arg === "--out") opts.out = value();
+    else if (arg === "--quiet") opts.quiet = true;
+    else if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (opts.engines.length < 2) throw new Error("Need at least two engines");
+  if (opts.games < 1) throw new Error("--games must be at least 1");
+  if (!RULE_PRESETS.some((p) => p.id === opts.rules))
+    throw new Error(`Unknown rule preset "${opts.rules}"`);
+  opts.engines.forEach(makeEngine); // fail early on a bad name
+  return opts;
+}
+
+/* ================== Engines ================== */
+// Engine name → { move(game) => move | null, newGame() }. Each minimax engine
+// has its own transposition table, emptied for every game, so no engine
+// searches with another's results or an earlier game's.
+function makeEngine(name) {
+  let tt = null; // made on first use
+  const table = () => (tt ||= createTable());
+  const engine = (move) => ({ move, newGame: () => tt?.clear() });
+  let m = /^MINIMAX-(\d+)$/.exec(name);
+  if (m) {
+    const maxDepth = Number(m[1]);
+    return engine((game) =>
+      searchMinimax(game.board, game.toMove, {
+        maxDepth,
+        bounce: game.bounce,
+        rules: game.rules,
+        tt: table(),
+      })
+    );
+  }
+  m = /^MCTS-(\d+)$/.exec(name);
+  if (m) {
+    const iterations = Number(m[1]);
+    return engine((game) =>
+      searchMcts(game.board, game.toMove, {
+        iterations,
+        bounce: game.bounce,
+        rules: game.rules,
+      })
+    );
+  }
+  if (AI_LEVELS[name])
+    return engine((game) =>
+      pickMove(game.board, game.toMove, name, {
+        bounce: game.bounce,
+        rules: game.rules,
+        tt: AI_LEVELS[name].maxDepth ? table() : null,
+      })
+    );
+  throw new Error(`Unknown engine "${name}"`);
+}
+
+// Seeded generator; installed as Math.random so every engine's random
+// choices follow the seed too
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ================== Games ================== */
+function playGame(red, blue, { maxPlies, opening, rules }) {
+  const players = { R: red, B: blue };
+  red.newGame();
+  blue.newGame();
+  let game = createGame({
+    rules: RULE_PRESETS.find((p) => p.id === rules).rules,
+  });
+  const moves = [];
+  while (!game.result() && moves.length < maxPlies) {
+    const legal = game.legalMoves();
+    const move =
+      moves.length < opening
+        ? legal[Math.floor(Math.random() * legal.length)]
+        : players[game.toMove].move(game);
+    if (!move)
+      throw new Error(`Engine returned no move at ply ${moves.length}`);
+    game = game.play(move);
+    moves.push(move);
+  }
+  const result = game.result();
+  return {
+    winner: result ? result.winner : null,
+    termination: result ? result.reason || result.mode : "Length cap",
+    plies: moves.length,
+    moves: moves.map((m) => moveToText(m, game.board.length)),
+  };
+}
+
+/* ================== Elo ================== */
+// Maximum-likelihood ratings (draws count ½), mean fixed at 1500. Each pair
+// gets one virtual draw so a clean sweep still has a finite rating.
+function eloRatings(names, pairings) {
+  const r = Object.fromEntries(names.map((n) => [n, 0]));
+  const expected = (a, b) => 1 / (1 + 10 ** ((r[b] - r[a]) / 400));
+  for (let iter = 0; iter < 2000; iter++) {
+    const grad = Object.fromEntries(names.map((n) => [n, 0]));
+    for (const p of pairings) {
+      const n = p.games + 1;
+      const scoreA = p.winsA + (p.draws + 1) / 2;
+      const diff = scoreA - n * expected(p.a, p.b);
+      grad[p.a] += diff;
+      grad[p.b] -= diff;
+    }
+    let step = 0;
+    for (const name of names) {
+      r[name] += grad[name];
+      step = Math.max(step, Math.abs(grad[name]));
+    }
+    if (step < 1e-6) break;
+  }
+  const mean = names.reduce((s, n) => s + r[n], 0) / names.length;
+  return Object.fromEntries(
+    names.map((n) => [n, Math.round(1500 + r[n] - mean)])
+  );
+}
+
+/* ================== Output ================== */
+function table(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => String(row[i]).length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, i) =>
+          i === 0
+            ? String(cell).padEnd(widths[i])
+            : String(cell).padStart(widths[i])
+        )
+        .join("  ")
+    )
+    .join("\n");
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  const { engines, games } = opts;
+  const players = Object.fromEntries(engines.map((n) => [n, makeEngine(n)]));
+  Math.random = mulberry32(opts.seed);
+
+  const pairings = [];
+  const log = [];
+  for (let i = 0; i < engines.length; i++) {
+    for (let j = i + 1; j < engines.length; j++) {
+      const p = { a: engines[i], b: engines[j], games: 0, plies: 0 };
+      Object.assign(p, { winsA: 0, winsB: 0, draws: 0 });
+      for (let g = 0; g < games; g++) {
+        const [red, blue] = g % 2 === 0 ? [p.a, p.b] : [p.b, p.a];
+        const started = Date.now();
+        const res = playGame(players[red], players[blue], opts);
+        const winner =
+          res.winner === "R" ? red : res.winner === "B" ? blue : null;
+        p.games++;
+        p.plies += res.plies;
+        if (winner === p.a) p.winsA++;
+        else if (winner === p.b) p.winsB++;
+        else p.draws++;
+        log.push({ red, blue, winner, ...res, ms: Date.now() - started });
+        if (!opts.quiet)
+          console.log(
+            `${red} (Red) vs ${blue} (Blue): ${winner || "draw"}` +
+              ` by ${res.termination} in ${res.plies} plies`
+          );
+      }
+      pairings.push(p);
+    }
+  }
+
+  const elo = eloRatings(engines, pairings);
+  const standings = engines
+    .map((name) => {
+      const s = { engine: name, elo: elo[name], wins: 0, losses: 0, draws: 0 };
+      for (const p of pairings) {
+        if (p.a !== name && p.b !== name) continue;
+        s.wins += p.a === name ? p.winsA : p.winsB;
+        s.losses += p.a === name ? p.winsB : p.winsA;
+        s.draws += p.draws;
+      }
+      s.games = s.wins + s.losses + s.draws;
+      s.score = s.games ? (s.wins + s.draws / 2) / s.games : 0;
+      return s;
+    })
+    .sort((x, y) => y.elo - x.elo);
+  const totalPlies = log.reduce((sum, g) => sum + g.plies, 0);
+  const avgPlies = log.length ? totalPlies / log.length : 0;
+
+  console.log(
+    `\nPairings (W/L/D from the first engine's side, ${games} games each)`
+  );
+  console.log(
+    table([
+      ["Pairing", "W", "L", "D", "Avg plies"],
+      ...pairings.map((p) => [
+        `${p.a} vs ${p.b}`,
+        p.winsA,
+        p.winsB,
+        p.draws,
+        (p.plies / p.games).toFixed(1),
+      ]),
+    ])
+  );
+  console.log("\nStandings");
+  console.log(
+    table([
+      ["Engine", "Elo", "W", "L", "D", "Score"],
+      ...standings.map((s) => [
+        s.engine,
+        s.elo,
+        s.wins,
+        s.losses,
+        s.draws,
+        `${(s.score * 100).toFixed(1)}%`,
+      ]),
+    ])
+  );
+  console.log(`\nAverage game length: ${avgPlies.toFixed(1)} plies`);
+
+  if (opts.out) {
+    const results = {
+      date: new Date().toISOString(),
+      config: { ...opts, out: undefined, quiet: undefined },
+      standings,
+      pairings: pairings.map((p) => ({
+        engines: [p.a, p.b],
+        wins: p.winsA,
+        losses: p.winsB,
+        draws: p.draws,
+        games: p.games,
+        avgPlies: p.plies / p.games,
+      })),
+      avgPlies,
+      games: log,
+    };
+    writeFileSync(opts.out, `${JSON.stringify(results, null, 2)}\n`);
+    console.log(`Results written to ${opts.out}`);
+  }
+}
+
+main();
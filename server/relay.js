@@ -0,0 +1,255 @@
+// server/relay.js
+// Online play relay: rooms of two players, moves checked with the engine.
+//
+//   node server/relay.js            # ws://0.0.0.0:8787
+//   PORT=9000 node server/relay.js
+//
+// Messages are JSON. Client → server:
+//   { type: "create", position? }      new room (optional start position,
+//                                      which also carries the rules)
+//   { type: "join", room }             take the free colour in a room
+//   { type: "resume", room, token }    reconnect to your seat
+//   { type: "move", move: { src, dst } }
+//   { type: "resign" }
+//   { type: "draw" }                   offer a draw, or accept the opponent's
+//                                      offer; it lapses once they move
+//   { type: "rematch" }                offer, or accept the opponent's offer
+// Server → client:
+//   { type: "joined", room, color, token }
+//   { type: "state", room, position, moves, result, players, drawOffer,
+//     rematch }
+//   { type: "error", message }
+// `moves` is move text from `position` (see notation.js), so a client that
+// reconnects rebuilds the whole game from one "state" message; a draw by
+// agreement is only in `result` (reason "Agreement").
+import { randomBytes } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { COLORS, createGame, moveKind, opponent } from "../src/engine.js";
+import {
+  INITIAL_POSITION,
+  moveToText,
+  parsePosition,
+  positionToString,
+} from "../src/notation.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "0.0.0.0";
+// Rooms with nobody connected are dropped after this long
+const IDLE_MS = 30 * 60 * 1000;
+
+// Room codes avoid look-alike characters (0/O, 1/I)
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/* ================== Rooms ================== */
+const rooms = new Map(); // code → room
+
+function newCode() {
+  for (;;) {
+    const bytes = randomBytes(5);
+    const code = Array.from(
+      bytes,
+      (b) => CODE_CHARS[b % CODE_CHARS.length]
+    ).join("");
+    if (!rooms.has(code)) return code;
+  }
+}
+
+function createRoom(start) {
+  const room = {
+    code: newCode(),
+    start,
+    game: start,
+    moves: [],
+    resigned: null, // colour that resigned
+    drawOffer: null, // colour offering a draw
+    rematch: new Set(), // colours offering a rematch
+    seats: { R: null, B: null }, // { token, socket } per colour
+    idleSince: null,
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+function roomResult(room) {
+  if (room.resigned)
+    return { mode: "Resignation", winner: opponent(room.resigned) };
+  return room.game.result();
+}
+
+function stateMessage(room) {
+  return {
+    type: "state",
+    room: room.code,
+    position: positionToString(room.start),
+    moves: room.moves.map((m) => moveToText(m, room.start.board.length)),
+    result: roomResult(room),
+    players: {
+      R: !!room.seats.R?.socket,
+      B: !!room.seats.B?.socket,
+    },
+    drawOffer: room.drawOffer,
+    rematch: [...room.rematch],
+  };
+}
+
+function broadcast(room) {
+  const msg = JSON.stringify(stateMessage(room));
+  for (const c of COLORS) room.seats[c]?.socket?.send(msg);
+}
+
+function seat(room, color, socket) {
+  const token = room.seats[color]?.token || randomBytes(12).toString("hex");
+  room.seats[color] = { token, socket };
+  room.idleSince = null;
+  socket.session = { room, color };
+  send(socket, { type: "joined", room: room.code, color, token });
+  broadcast(room);
+}
+
+function leave(socket) {
+  const s = socket.session;
+  socket.session = null;
+  if (!s || s.room.seats[s.color]?.socket !== socket) return;
+  s.room.seats[s.color].socket = null;
+  if (!COLORS.some((c) => s.room.seats[c]?.socket))
+    s.room.idleSince = Date.now();
+  broadcast(s.room);
+}
+
+/* ================== Messages ================== */
+const send = (socket, msg) => socket.send(JSON.stringify(msg));
+
+const handlers = {
+  create(socket, msg) {
+    let start = createGame();
+    if (msg.position && msg.position !== INITIAL_POSITION)
+      start = parsePosition(msg.position);
+    if (start.result()) throw new Error("That position is already decided");
+    const room = createRoom(start);
+    const color = COLORS.includes(msg.color)
+      ? msg.color
+      : COLORS[randomBytes(1)[0] & 1];
+    seat(room, color, socket);
+  },
+
+  join(socket, msg) {
+    const room = rooms.get(String(msg.room || "").toUpperCase());
+    if (!room) throw new Error(`No room ${msg.room}`);
+    const free = COLORS.find((c) => !room.seats[c]);
+    if (!free) throw new Error("Room is full");
+    seat(room, free, socket);
+  },
+
+  resume(socket, msg) {
+    const room = rooms.get(String(msg.room || "").toUpperCase());
+    if (!room) throw new Error(`No room ${msg.room}`);
+    const color = COLORS.find((c) => room.seats[c]?.token === msg.token);
+    if (!color) throw new Error("Seat not found");
+    const old = room.seats[color].socket;
+    if (old && old !== socket) {
+      old.session = null;
+      old.close(4000, "Replaced by a newer connection");
+    }
+    seat(room, color, socket);
+  },
+
+  move(socket, msg, { room, color }) {
+    if (roomResult(room)) throw new Error("Game is over");
+    if (room.game.toMove !== color) throw new Error("Not your turn");
+    const { src, dst } = msg.move || {};
+    const valid = (sq) =>
+      Array.isArray(sq) && sq.length === 2 && sq.every(Number.isInteger);
+    if (!valid(src) || !valid(dst)) throw new Error("Malformed move");
+    const kind = moveKind(room.game.board, color, src, dst, room.game.rules);
+    if (!kind) throw new Error("Illegal move");
+    room.game = room.game.play({ src, dst });
+    room.moves.push({ src, dst, kind });
+    // Moving instead of answering declines the opponent's offer
+    if (room.drawOffer !== color) room.drawOffer = null;
+    room.rematch.clear();
+    broadcast(room);
+  },
+
+  resign(socket, msg, { room, color }) {
+    if (roomResult(room)) throw new Error("Game is over");
+    room.resigned = color;
+    broadcast(room);
+  },
+
+  draw(socket, msg, { room, color }) {
+    if (roomResult(room)) throw new Error("Game is over");
+    if (room.drawOffer === opponent(color)) {
+      room.game = room.game.agreeDraw();
+      room.drawOffer = null;
+    } else room.drawOffer = color;
+    broadcast(room);
+  },
+
+  rematch(socket, msg, { room, color }) {
+    if (!roomResult(room)) throw new Error("Game is still running");
+    room.rematch.add(color);
+    if (room.rematch.size === COLORS.length) {
+      // Same start, colours swapped
+      room.game = room.start;
+      room.moves = [];
+      room.resigned = null;
+      room.drawOffer = null;
+      room.rematch.clear();
+      room.seats = { R: room.seats.B, B: room.seats.R };
+      for (const c of COLORS) {
+        const sock = room.seats[c]?.socket;
+        if (!sock) continue;
+        sock.session = { room, color: c };
+        send(sock, {
+          type: "joined",
+          room: room.code,
+          color: c,
+          token: room.seats[c].token,
+        });
+      }
+    }
+    broadcast(room);
+  },
+};
+
+// Messages that need a seat first
+const SEATED = ["move", "resign", "draw", "rematch"];
+
+function onMessage(socket, data) {
+  let msg;
+  try {
+    msg = JSON.parse(data);
+  } catch {
+    send(socket, { type: "error", message: "Not JSON" });
+    return;
+  }
+  const handler = Object.hasOwn(handlers, msg?.type) && handlers[msg.type];
+  try {
+    if (!handler) throw new Error(`Unknown message type ${msg?.type}`);
+    const s = socket.session;
+    if (SEATED.includes(msg.type) && s?.room.seats[s.color]?.socket !== socket)
+      throw new Error("Join a room first");
+    if (!SEATED.includes(msg.type) && socket.session) leave(socket);
+    handler(socket, msg, socket.session);
+  } catch (e) {
+    send(socket, { type: "error", message: e.message });
+  }
+}
+
+/* ================== Server ================== */
+const wss = new WebSocketServer({ port: PORT, host: HOST });
+wss.on("connection", (socket) => {
+  socket.session = null;
+  socket.on("message", (data) => onMessage(socket, data));
+  socket.on("close", () => leave(socket));
+});
+wss.on("listening", () =>
+  console.log(`TURRIM relay listening on ws://${HOST}:${PORT}`)
+);
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [code, room] of rooms) {
+    if (room.idleSince && now - room.idleSince > IDLE_MS) rooms.delete(code);
+  }
+}, 60 * 1000).unref();
@@ -1,268 +1,655 @@
-import React, { useEffect, useMemo, useState } from "react";
-import ThreeBoard from "./ThreeBoard"; // 3D board (toggleable)
-
-/* ================== Core game constants & helpers ================== */
-const N = 8;
-const DIRS = [
-  { name: "Up", d: [-1, 0], key: "ArrowUp" },
-  { name: "Down", d: [1, 0], key: "ArrowDown" },
-  { name: "Left", d: [0, -1], key: "ArrowLeft" },
-  { name: "Right", d: [0, 1], key: "ArrowRight" },
-];
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import ThreeBoard, { ANIMATION_SPEEDS, animationSeconds } from "./ThreeBoard"; // 3D board (toggleable)
+import {
+  COLORS,
+  DEFAULT_RULES,
+  DIRS,
+  RULE_PRESETS,
+  cloneBoard,
+  createGame,
+  height,
+  legalMoves,
+  makeRules,
+  moveKind,
+  opponent,
+  sameRules,
+  sqKey,
+  topColor,
+} from "./engine.js";
+import { REVIEW_CAP, REVIEW_TAGS } from "./ai.js";
+import { createAiClient } from "./aiClient.js";
+import {
+  clearSquare,
+  emptyBoard,
+  mirrorFiles,
+  mirrorRanks,
+  popBlock,
+  positionWarnings,
+  pushBlock,
+  swapColors,
+} from "./editor.js";
+import {
+  NO_CLOCK,
+  chargeClock,
+  describeTimeControl,
+  formatClock,
+  initialClock,
+  parseTimeControl,
+  timeLeft,
+  timeToFlag,
+} from "./clock.js";
+import { OVERLAYS, boardOverlays } from "./overlays.js";
+import { moveLabel, squareLabel, useCursorFocus } from "./a11y.js";
+import { readPack } from "./puzzles.js";
+import {
+  autosave,
+  deleteSlot,
+  describeSave,
+  deserializeGame,
+  listSaves,
+  loadAutosave,
+  loadPrefs,
+  saveSlot,
+  savePrefs,
+  serializeGame,
+} from "./saves.js";
+import puzzlePack from "./puzzlePack.json";
+import {
+  createOnlineClient,
+  defaultServerUrl,
+  savedSeat,
+} from "./onlineClient.js";
+import {
+  INITIAL_POSITION,
+  KIND_NAMES,
+  formatRecord,
+  moveToText,
+  parsePosition,
+  parseRecord,
+  positionToString,
+  recordDate,
+  recordEnding,
+  parseSquare,
+  replayMoves,
+  resultToken,
+  squareName,
+} from "./notation.js";
 
-function makeInitialBoard() {
-  const board = Array.from({ length: N }, () =>
-    Array.from({ length: N }, () => [])
-  );
-  for (let r = 0; r < 4; r++) for (let c = 0; c < N; c++) board[r][c] = ["R"];
-  for (let r = 4; r < 8; r++) for (let c = 0; c < N; c++) board[r][c] = ["B"];
-  return board;
-}
-const inBounds = (r, c) => r >= 0 && r < N && c >= 0 && c < N;
-const height = (b, r, c) => b[r][c].length;
-const topColor = (b, r, c) =>
-  b[r][c].length ? b[r][c][b[r][c].length - 1] : null;
-const forwardDir = (color) => (color === "R" ? 1 : -1);
 const cx = (...xs) => xs.filter(Boolean).join(" ");
-const sqKey = (r, c) => `${r},${c}`;
-const moveKey = (m) =>
-  `${sqKey(m.src[0], m.src[1])}->${sqKey(m.dst[0], m.dst[1])}`;
-
-/** Rules (final):
- * - Backward: step-down only (no across, no climb).
- * - Empty: you may step-down only to empty by −1 or −2 height.
- * - Own colour: Across only (equal height). No +1 climb.
- * - Opponent: Cross only if you are strictly taller by 1–2 (destination lower).
- * - Orthogonal only; only top block moves; origin shrinks, destination grows.
- */
-function moveKind(board, color, src, dst) {
-  const [sr, sc] = src,
-    [dr, dc] = dst;
-  if (!inBounds(sr, sc) || !inBounds(dr, dc)) return null;
-  if (Math.abs(sr - dr) + Math.abs(sc - dc) !== 1) return null;
-  if (height(board, sr, sc) === 0) return null;
-  if (topColor(board, sr, sc) !== color) return null;
-
-  const hSrc = height(board, sr, sc);
-  const hDst = height(board, dr, dc);
-  const topDst = topColor(board, dr, dc);
-  const delta = hDst - hSrc; // >0 would be "climb", 0 across, <0 step-down
-
-  const movingBackward = dr - sr === -forwardDir(color);
-  if (movingBackward && delta >= 0) return null; // backward only step-down
-
-  // Step-down (empty or any colour) only if -1 or -2
-  if (delta === -1 || delta === -2) {
-    return topDst && topDst !== color ? "Cross" : "StepDown";
-  }
-
-  // Cannot move onto empty if not stepping down
-  if (!topDst) return null;
-
-  // Own colour: equal height only (Across). No +1 climb allowed.
-  if (topDst === color) {
-    return delta === 0 ? "Across" : null;
-  }
-
-  // Opponent but not step-down => illegal
-  return null;
-}
+// Legend colours for the board overlays, as drawn on the 2D grid
+const OVERLAY_SWATCH = {
+  lastMove: "bg-amber-200/40",
+  threats: "border-2 border-dashed border-rose-400",
+  danger: "bg-orange-300",
+};
+const AI_LEVEL_NAMES = {
+  RANDOM: "Easy",
+  GREEDY: "Medium",
+  MINIMAX2: "Hard",
+  MINIMAX3: "Very Hard",
+  MCTS_ITER: "MCTS · 3000 playouts",
+  MCTS_TIME: "MCTS · 3 s",
+};
 
-function legalMoves(board, color) {
-  const moves = [];
-  for (let r = 0; r < N; r++) {
-    for (let c = 0; c < N; c++) {
-      if (topColor(board, r, c) !== color) continue;
-      for (const { d } of DIRS) {
-        const dst = [r + d[0], c + d[1]];
-        const kind = moveKind(board, color, [r, c], dst);
-        if (kind) moves.push({ src: [r, c], dst, kind });
-      }
-    }
-  }
-  return moves;
-}
+const RESULT_TEXT = {
+  Crossing: "Crossing Victory",
+  Lockout: "Lockout Victory",
+  Repetition: "Repetition Victory",
+  Resignation: "Victory by Resignation",
+  Timeout: "Victory on Time",
+};
+const DRAW_TEXT = {
+  Repetition: "Draw by Repetition",
+  MoveLimit: "Draw by Move Limit",
+  Agreement: "Draw by Agreement",
+};
+const resultText = (res) =>
+  res.mode === "Draw" ? DRAW_TEXT[res.reason] : RESULT_TEXT[res.mode];
+
+// Keyboard help overlay; handled in onKeyDown
+const SHORTCUTS = [
+  ["← ↑ → ↓", "Move the square cursor"],
+  ["Enter / Space", "Select the tower under the cursor, or play to it"],
+  ["Shift + arrow", "Move the selected tower one square that way"],
+  ["Esc", "Clear the selection"],
+  ["U / Ctrl+Z", "Undo"],
+  ["F", "Flip the board"],
+  ["V", "Switch between 2D and 3D"],
+  ["N", "New game"],
+  ["?", "Show or hide this help"],
+];
+
+const EDITOR_TOOLS = [
+  { id: "R", name: "+ Red" },
+  { id: "B", name: "+ Blue" },
+  { id: "pop", name: "Pop top" },
+  { id: "clear", name: "Clear square" },
+];
 
-const applyMove = (board, move) => {
-  const b = board.map((row) => row.map((stack) => [...stack]));
-  const [sr, sc] = move.src,
-    [dr, dc] = move.dst;
-  const block = b[sr][sc].pop();
-  b[dr][dc].push(block);
-  return b;
+// Setup overlay time control choices; the fields each one uses are shown
+const TIME_CONTROLS = [
+  { type: "none", name: "None", fields: [] },
+  { type: "sudden", name: "Sudden death", fields: ["baseMin"] },
+  { type: "fischer", name: "Increment", fields: ["baseMin", "incSec"] },
+  {
+    type: "byoyomi",
+    name: "Byo-yomi",
+    fields: ["baseMin", "periods", "periodSec"],
+  },
+];
+const TIME_FIELDS = {
+  baseMin: "Minutes each",
+  incSec: "Increment (s)",
+  periods: "Periods",
+  periodSec: "Period (s)",
 };
 
-function crossingVictory(board) {
-  for (let c = 0; c < N; c++) {
-    if (topColor(board, 7, c) === "R") return "R";
-    if (topColor(board, 0, c) === "B") return "B";
+// Setup form values → time control (see clock.js)
+function timeControlFrom(f) {
+  const baseMs = Math.round(f.baseMin * 60000);
+  if (f.type === "byoyomi")
+    return {
+      type: "byoyomi",
+      baseMs,
+      periodMs: Math.max(1000, Math.round(f.periodSec * 1000)),
+      periods: Math.max(1, Math.round(f.periods)),
+    };
+  if (baseMs <= 0) return NO_CLOCK;
+  if (f.type === "sudden") return { type: "sudden", baseMs };
+  if (f.type === "fischer")
+    return { type: "fischer", baseMs, incMs: Math.round(f.incSec * 1000) };
+  return NO_CLOCK;
+}
+
+// Setup overlay rule fields (see DEFAULT_RULES); presets fill them all in
+const RULE_FIELDS = [
+  {
+    key: "size",
+    name: "Board",
+    options: [6, 8, 10, 12],
+    label: (v) => `${v}×${v}`,
+  },
+  { key: "stepDownMax", name: "Step-down up to", options: [1, 2, 3, 4] },
+  { key: "crossMin", name: "Cross margin", options: [1, 2, 3, 4] },
+  { key: "crossMax", name: "to", options: [1, 2, 3, 4] },
+  { key: "repetitionLimit", name: "Repetition pairs", options: [2, 3, 4, 5] },
+  {
+    key: "drawRepeats",
+    name: "Draw when a position repeats",
+    options: [0, 2, 3, 4, 5],
+    label: (v) => (v ? `${v} times` : "Off"),
+  },
+  {
+    key: "moveLimit",
+    name: "Draw after plies without progress",
+    options: [0, 50, 100, 200],
+    label: (v) => v || "Off",
+  },
+];
+
+const rulesName = (rules) =>
+  RULE_PRESETS.find((p) => sameRules(p.rules, rules))?.name || "Custom rules";
+
+function rulesError(rules) {
+  try {
+    makeRules(rules);
+    return null;
+  } catch (e) {
+    return e.message;
   }
-  return null;
 }
-const hasLegalMoves = (board, color) => legalMoves(board, color).length > 0;
 
-/* ================== AI (same as before, stronger heuristics) ================== */
-function centerBonus(c) {
-  const mid = [3, 4];
-  return mid.includes(c) ? 4 : c === 2 || c === 5 ? 2 : 0;
+// "1–2", or just "2" when both ends match
+const span = (lo, hi) => (lo === hi ? `${lo}` : `${lo}–${hi}`);
+
+const turnElapsed = (turn) =>
+  turn.spent + (turn.since ? Math.max(0, Date.now() - turn.since) : 0);
+
+// Both clocks; ticks on its own so the board doesn't re-render every 100 ms
+function Clocks({ timeControl, clock, toMove, turn, running }) {
+  const [, setTick] = useState(0);
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => setTick((n) => n + 1), 100);
+    return () => clearInterval(id);
+  }, [running]);
+
+  return (
+    <div className="flex gap-2 font-mono text-sm">
+      {COLORS.map((c) => {
+        const left = timeLeft(
+          timeControl,
+          clock[c],
+          c === toMove ? turnElapsed(turn) : 0
+        );
+        return (
+          <span
+            key={c}
+            className={cx(
+              "px-2 py-0.5 rounded border",
+              c === toMove && running
+                ? "border-slate-400 bg-slate-800"
+                : "border-slate-700 opacity-70",
+              left.ms < 10000
+                ? "text-amber-300"
+                : c === "R"
+                ? "text-rose-300"
+                : "text-sky-300"
+            )}
+            title={c === "R" ? "Red clock" : "Blue clock"}
+          >
+            {formatClock(left.ms)}
+            {timeControl.type === "byoyomi" &&
+              ` ${left.byoyomi ? "BY " : ""}×${left.periods}`}
+          </span>
+        );
+      })}
+    </div>
+  );
 }
 
-// Static eval: higher better for Red, lower better for Blue
-function evaluate(board) {
-  let score = 0;
-  for (let r = 0; r < N; r++) {
-    for (let c = 0; c < N; c++) {
-      const top = topColor(board, r, c);
-      if (!top) continue;
-      const h = height(board, r, c);
-      const central = centerBonus(c);
-      if (top === "R") score += 14 * r + 4 * h + central;
-      else score -= 14 * (7 - r) + 4 * h + central;
-    }
-  }
-  const redMoves = legalMoves(board, "R").length;
-  const blueMoves = legalMoves(board, "B").length;
-  score += 3 * (redMoves - blueMoves);
-  for (let c = 0; c < N; c++) {
-    if (topColor(board, 6, c) === "R") score += 40;
-    if (topColor(board, 1, c) === "B") score -= 40;
+/* ---------------- Puzzles ---------------- */
+const BUILT_IN_PUZZLES = readPack(puzzlePack);
+const PUZZLE_STATS_KEY = "turrim.puzzles";
+const puzzleKey = (pack, p) => `${pack.name}/${p.id}`;
+
+// Solve streak, best streak and solved puzzles (puzzleKey → true), kept in
+// localStorage
+function loadPuzzleStats() {
+  const stats = { streak: 0, best: 0, solved: {} };
+  try {
+    return { ...stats, ...JSON.parse(localStorage.getItem(PUZZLE_STATS_KEY)) };
+  } catch {
+    return stats;
   }
-  for (let c = 0; c < N; c++) {
-    if (topColor(board, 7, c) === "R") score += 120;
-    if (topColor(board, 0, c) === "B") score -= 120;
-  }
-  return score;
 }
 
-function orderMoves(board, color, moves, avoidKey) {
-  return moves
-    .map((m) => {
-      const key = moveKey(m);
-      let w = 0;
-      if (m.kind === "Cross") w += 50;
-      if (m.kind === "StepDown") w += 10;
-      const dr = m.dst[0] - m.src[0];
-      if ((color === "R" && dr > 0) || (color === "B" && dr < 0)) w += 8;
-      w += centerBonus(m.dst[1]);
-      const hAfter = height(applyMove(board, m), m.dst[0], m.dst[1]);
-      w += Math.min(hAfter, 6);
-      if (avoidKey && key === avoidKey) w -= 1000;
-      return { m, w };
-    })
-    .sort((a, b) => b.w - a.w)
-    .map((x) => x.m);
-}
-function pickRandom(moves, avoidKey) {
-  const filtered = avoidKey
-    ? moves.filter((m) => moveKey(m) !== avoidKey)
-    : moves;
-  const list = filtered.length ? filtered : moves;
-  if (!list.length) return null;
-  return list[Math.floor(Math.random() * list.length)];
+// Game line from a replayMoves() result, positioned at its last move
+const replayedLine = (res) => ({
+  snapshots: [...res.states, res.game].map((g, i) => ({
+    game: g,
+    move: i ? res.moves[i - 1] : null,
+  })),
+  ply: res.moves.length,
+});
+
+// Engine scores are Red-positive; ±99999 and beyond is a forced result
+const scoreText = (s) =>
+  Math.abs(s) >= 99999
+    ? `${s > 0 ? "Red" : "Blue"} wins`
+    : `${s > 0 ? "+" : ""}${s}`;
+const redShare = (s) =>
+  Math.abs(s) >= 99999 ? (s > 0 ? 100 : 0) : 50 + 50 * Math.tanh(s / 400);
+// Review scores stop at ±REVIEW_CAP, where one side is winning outright
+const reviewScoreText = (s) =>
+  Math.abs(s) >= REVIEW_CAP
+    ? `${s > 0 ? "Red" : "Blue"} winning`
+    : scoreText(s);
+
+// Badge colours for review tags
+const TAG_STYLE = {
+  best: "bg-emerald-800 text-emerald-100",
+  inaccuracy: "bg-yellow-800 text-yellow-100",
+  mistake: "bg-orange-800 text-orange-100",
+  blunder: "bg-rose-800 text-rose-100",
+};
+const TAG_NAMES = {
+  best: "Best",
+  ...Object.fromEntries(REVIEW_TAGS.map((t) => [t.id, t.name])),
+};
+
+// Finished review (see App's `review`): evaluation graph, the move on the
+// board against the engine's choice, tag counts and the tagged move list
+function ReviewPanel({ review, size, onStep }) {
+  const { entries, index } = review;
+  const entry = entries[index];
+  const W = 240;
+  const H = 72;
+  const x = (i) => ((i + 0.5) * W) / entries.length;
+  const y = (s) => (H * (100 - redShare(s))) / 100;
+  // Passes keep the score before them
+  let last = 0;
+  const points = entries.map((e, i) => {
+    if (e.score !== null) last = e.score;
+    return [x(i), y(last)];
+  });
+  const path = points.map((p) => p.join(",")).join(" ");
+  const counts = (color) =>
+    REVIEW_TAGS.map(
+      (t) =>
+        `${
+          entries.filter((e) => e.color === color && e.tag === t.id).length
+        } ${t.name.toLowerCase()}`
+    ).join(", ");
+
+  return (
+    <div className="mt-2 text-sm">
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        className="w-full h-20 rounded bg-sky-950/60"
+        role="img"
+        aria-label="Evaluation graph, Red up, Blue down"
+      >
+        <polygon
+          points={`${x(0)},${H / 2} ${path} ${x(entries.length - 1)},${H / 2}`}
+          className="fill-rose-500/30"
+        />
+        <line
+          x1="0"
+          x2={W}
+          y1={H / 2}
+          y2={H / 2}
+          className="stroke-slate-600"
+        />
+        <polyline points={path} fill="none" className="stroke-slate-200" />
+        <line
+          x1={x(index)}
+          x2={x(index)}
+          y1="0"
+          y2={H}
+          className="stroke-indigo-400"
+          strokeWidth="2"
+        />
+        {entries.map((e, i) =>
+          e.tag === "mistake" || e.tag === "blunder" ? (
+            <circle
+              key={i}
+              cx={points[i][0]}
+              cy={points[i][1]}
+              r="3"
+              className={
+                e.tag === "blunder" ? "fill-rose-400" : "fill-orange-400"
+              }
+            />
+          ) : null
+        )}
+        {entries.map((_, i) => (
+          <rect
+            key={i}
+            x={x(i) - W / entries.length / 2}
+            width={W / entries.length}
+            y="0"
+            height={H}
+            fill="transparent"
+            className="cursor-pointer"
+            onClick={() => onStep(i)}
+          />
+        ))}
+      </svg>
+
+      <div className="mt-2">
+        <span className="text-slate-500">Move {index + 1}.</span>{" "}
+        <span
+          className={entry.color === "R" ? "text-rose-300" : "text-sky-300"}
+        >
+          {entry.color === "R" ? "Red" : "Blue"}
+        </span>{" "}
+        <span className="font-mono">{moveToText(entry.move, size)}</span>
+        {entry.tag && (
+          <span
+            className={cx("ml-2 px-1.5 rounded text-xs", TAG_STYLE[entry.tag])}
+          >
+            {TAG_NAMES[entry.tag]}
+          </span>
+        )}
+        {entry.score !== null && (
+          <span className="float-right text-slate-400">
+            {reviewScoreText(entry.score)}
+          </span>
+        )}
+      </div>
+      {entry.best && entry.tag !== "best" && (
+        <div className="text-slate-300">
+          <span className="text-purple-300">Engine prefers</span>{" "}
+          <span className="font-mono">{moveToText(entry.best, size)}</span>
+          <span className="float-right text-slate-400">
+            {reviewScoreText(entry.bestScore)}
+          </span>
+        </div>
+      )}
+      <div className="text-xs text-slate-400">
+        Played move in amber, the engine's in purple.
+      </div>
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={() => onStep(index - 1)}
+          disabled={index === 0}
+          className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => onStep(index + 1)}
+          disabled={index + 1 >= entries.length}
+          className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+
+      <div className="mt-3 text-xs text-slate-300">
+        <div>
+          <span className="text-rose-300">Red:</span> {counts("R")}
+        </div>
+        <div>
+          <span className="text-sky-300">Blue:</span> {counts("B")}
+        </div>
+      </div>
+      <ol className="mt-2 max-h-48 overflow-y-auto">
+        {entries.map((e, i) => (
+          <li key={i}>
+            <button
+              onClick={() => onStep(i)}
+              className={cx(
+                "w-full flex gap-2 px-2 py-0.5 rounded text-left hover:bg-slate-700",
+                i === index && "bg-slate-700 text-white"
+              )}
+            >
+              <span className="w-6 text-slate-500">{i + 1}.</span>
+              <span
+                className={cx(
+                  "font-mono",
+                  e.color === "R" ? "text-rose-200" : "text-sky-200"
+                )}
+              >
+                {moveToText(e.move, size)}
+              </span>
+              {e.tag && e.tag !== "best" && (
+                <span
+                  className={cx(
+                    "ml-auto px-1.5 rounded text-xs",
+                    TAG_STYLE[e.tag]
+                  )}
+                >
+                  {TAG_NAMES[e.tag]}
+                </span>
+              )}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
 }
-function pickGreedy(board, color, avoidKey) {
-  const moves = legalMoves(board, color);
-  if (!moves.length) return null;
-  let best = null;
-  let bestScore = color === "R" ? -Infinity : Infinity;
-  const ordered = orderMoves(board, color, moves, avoidKey);
-  for (const m of ordered) {
-    const nb = applyMove(board, m);
-    const s = evaluate(nb) - (avoidKey && moveKey(m) === avoidKey ? 15 : 0);
-    if (color === "R" ? s > bestScore : s < bestScore) {
-      bestScore = s;
-      best = m;
-    }
+
+// Shared position from the URL (#pos=<position string>), read on startup
+function readLinkedPosition() {
+  const m = /^#pos=(.+)$/.exec(window.location.hash);
+  if (!m) return { start: null, error: null };
+  try {
+    return { start: parsePosition(decodeURIComponent(m[1])), error: null };
+  } catch (e) {
+    return { start: null, error: e.message };
   }
-  return best || pickRandom(moves, avoidKey);
 }
-function minimax(board, color, depth, alpha, beta, avoidKey) {
-  const cross = crossingVictory(board);
-  if (cross === "R") return { score: 999999, move: null };
-  if (cross === "B") return { score: -999999, move: null };
-  if (depth === 0) return { score: evaluate(board), move: null };
-
-  const moves = legalMoves(board, color);
-  if (!moves.length)
-    return { score: color === "R" ? -99999 : 99999, move: null };
-
-  const ordered = orderMoves(board, color, moves, avoidKey);
-  let bestMove = null;
-
-  if (color === "R") {
-    let best = -Infinity;
-    for (const m of ordered) {
-      const nb = applyMove(board, m);
-      const res = minimax(nb, "B", depth - 1, alpha, beta, null);
-      const s = res.score - (avoidKey && moveKey(m) === avoidKey ? 15 : 0);
-      if (s > best) {
-        best = s;
-        bestMove = m;
-      }
-      alpha = Math.max(alpha, best);
-      if (beta <= alpha) break;
-    }
-    return { score: best, move: bestMove };
-  } else {
-    let best = Infinity;
-    for (const m of ordered) {
-      const nb = applyMove(board, m);
-      const res = minimax(nb, "R", depth - 1, alpha, beta, null);
-      const s = res.score + (avoidKey && moveKey(m) === avoidKey ? 15 : 0);
-      if (s < best) {
-        best = s;
-        bestMove = m;
-      }
-      beta = Math.min(beta, best);
-      if (beta <= alpha) break;
-    }
-    return { score: best, move: bestMove };
+
+// The autosaved game, if there is one and it still replays
+function readAutosave() {
+  try {
+    return deserializeGame(loadAutosave());
+  } catch {
+    return null;
   }
 }
-function pickMinimax(board, color, depth, avoidKey) {
-  const moves = legalMoves(board, color);
-  if (!moves.length) return null;
-  const { move } = minimax(board, color, depth, -Infinity, Infinity, avoidKey);
-  return (
-    move || pickGreedy(board, color, avoidKey) || pickRandom(moves, avoidKey)
-  );
-}
 
 /* ================== App ================== */
 export default function App() {
-  const [board, setBoard] = useState(makeInitialBoard());
-  const [toMove, setToMove] = useState("R");
+  // Position new games start from: a linked position, or the standard start
+  const [linked] = useState(readLinkedPosition);
+  const [startPos, setStartPos] = useState(linked.start);
+  const newGame = (rules = DEFAULT_RULES) => startPos || createGame({ rules });
+  // Saved view and setup choices (see savePrefs below), and the game a reload
+  // interrupted, unless a link brought a position to play
+  const [prefs] = useState(loadPrefs);
+  const [restored] = useState(() => (linked.start ? null : readAutosave()));
+
+  // Game line: snapshots[0] is the start, snapshots[i] the full GameState
+  // (board, side to move, bounce, result) after move i — move is null for a
+  // "Swap turn" pass. `ply` is the snapshot on the board; snapshots past it
+  // are the redo line until a new move branches off.
+  const [line, setLine] = useState(
+    () =>
+      restored?.line || {
+        snapshots: [{ game: newGame(), move: null }],
+        ply: 0,
+      }
+  );
+  // Post-game review: { total, done, entries, index } with `done` the
+  // moves reviewed so far and `entries` the finished review (see reviewGame).
+  // Once done the board shows the position before move `index` + 1, with that
+  // move and the engine's choice; the line itself is left alone.
+  const [review, setReview] = useState(null);
+  const reviewStep = review?.entries?.[review.index] || null;
+  const shownPly = reviewStep ? review.index : line.ply;
+  const game = line.snapshots[shownPly].game;
+  const played = line.snapshots.slice(1, line.ply + 1);
   const [selected, setSelected] = useState(null); // [r,c] | null
-  const [history, setHistory] = useState([]);
+  const [cursor, setCursor] = useState(null); // keyboard cursor [r,c] | null
+  const [showKeys, setShowKeys] = useState(false); // shortcut help overlay
+  const gridRef = useRef(null); // 2D grid, for keyboard focus
+  const [announcement, setAnnouncement] = useState(""); // live region text
+  const [moveEntry, setMoveEntry] = useState(""); // typed move, e.g. "D2 D3"
+  const [moveEntryMsg, setMoveEntryMsg] = useState(null);
 
-  const [rotX, setRotX] = useState(60); // 2D tilt
-  const [rotY, setRotY] = useState(0); // 2D rotate
-  const [flipped, setFlipped] = useState(false);
+  const [rotX, setRotX] = useState(prefs.rotX ?? 60); // 2D tilt
+  const [rotY, setRotY] = useState(prefs.rotY ?? 0); // 2D rotate
+  const [flipped, setFlipped] = useState(prefs.flipped ?? false);
 
   // 2D / 3D toggle — default 3D
-  const [useThree, setUseThree] = useState(true); // <<< set 3D >>>
+  const [useThree, setUseThree] = useState(prefs.useThree ?? true);
+  // 3D move animation
+  const [animSpeed, setAnimSpeed] = useState(prefs.animSpeed ?? "normal");
+  // Board highlights switched on (see overlays.js)
+  const [shownOverlays, setShownOverlays] = useState({
+    lastMove: true,
+    threats: true,
+    danger: true,
+    ...prefs.overlays,
+  });
 
   // Setup overlay state
-  const [showSetup, setShowSetup] = useState(true);
-  const [setupMode, setSetupMode] = useState("HUMAN"); // HUMAN | AI
-  const [setupHumanColor, setSetupHumanColor] = useState("R");
-  const [setupAiLevel, setSetupAiLevel] = useState("MINIMAX3"); // EASY..VERY HARD
-
-  const [mode, setMode] = useState("HUMAN"); // HUMAN | AI
-  const [humanColor, setHumanColor] = useState("R");
-  const [aiLevel, setAiLevel] = useState("MINIMAX3");
-
-  // Repetition (bounce) tracking: per-player pair counting between two squares
-  const [bounce, setBounce] = useState({
-    R: { endpoints: null, lastDir: null, pairs: 0 },
-    B: { endpoints: null, lastDir: null, pairs: 0 },
+  const [showSetup, setShowSetup] = useState(!restored);
+  const setup = prefs.setup || {}; // last choices made here
+  // HUMAN | AI | ONLINE
+  const [setupMode, setSetupMode] = useState(setup.mode ?? "HUMAN");
+  const [setupServer, setSetupServer] = useState(
+    () => setup.server ?? defaultServerUrl()
+  );
+  const [setupRoom, setSetupRoom] = useState(""); // blank = create a room
+  const [lastSeat] = useState(savedSeat); // seat to rejoin after a reload
+  const [setupRules, setSetupRules] = useState({
+    ...DEFAULT_RULES,
+    ...setup.rules,
   });
-  const [repWin, setRepWin] = useState(null); // "R" | "B" | null
+  const setupRulesError = rulesError(setupRules);
+  const [setupHumanColor, setSetupHumanColor] = useState(
+    setup.humanColor ?? "R"
+  );
+  // AI_LEVEL_NAMES id
+  const [setupAiLevel, setSetupAiLevel] = useState(
+    AI_LEVEL_NAMES[setup.aiLevel] ? setup.aiLevel : "MINIMAX3"
+  );
+  const [setupTime, setSetupTime] = useState({
+    type: "none",
+    baseMin: 5,
+    incSec: 3,
+    periods: 3,
+    periodSec: 30,
+    ...setup.time,
+  });
+
+  // HUMAN | AI | ONLINE | PUZZLE
+  const [mode, setMode] = useState(restored?.mode ?? "HUMAN");
+  const [humanColor, setHumanColor] = useState(restored?.humanColor ?? "R");
+  const [aiLevel, setAiLevel] = useState(
+    AI_LEVEL_NAMES[restored?.aiLevel] ? restored.aiLevel : "MINIMAX3"
+  );
+
+  // Clocks: each snapshot stores both sides' clocks as of that position, so
+  // undo/redo restore them. `turn` times the side to move: `spent` ms so far
+  // plus the running stretch since `since` (null while paused).
+  const [timeControl, setTimeControl] = useState(
+    restored?.timeControl ?? NO_CLOCK
+  );
+  const [turn, setTurn] = useState({ spent: 0, since: null });
+  const [, setTick] = useState(0);
+
+  // Computer player runs in a worker; `thinking` is { depth } while it searches
+  const aiClient = useRef(null);
+  const [thinking, setThinking] = useState(null);
+
+  // Hints and the analysis panel share a second worker. Against the computer
+  // they stay off unless turned on in setup.
+  const analysisClient = useRef(null);
+  const [setupAllowAssist, setSetupAllowAssist] = useState(
+    setup.allowAssist ?? false
+  );
+  const [allowAssist, setAllowAssist] = useState(
+    restored?.allowAssist ?? false
+  );
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [hintFor, setHintFor] = useState(null); // game the Hint was asked on
+  const [analysis, setAnalysis] = useState(null); // { game, depth, result }
+
+  const reviewClient = useRef(null);
+
+  // Online play: the server owns the game; every "state" message replaces
+  // the local line. `online` is { status, room, color, players, drawOffer,
+  // rematch, result, error } while connected.
+  const onlineClient = useRef(null);
+  const [online, setOnline] = useState(null);
+
+  // Board editor: { board, toMove, tool } while open. "R" / "B" push a block,
+  // "pop" removes the top one, "clear" empties the square.
+  const [editor, setEditor] = useState(null);
+
+  // Puzzle mode (mode "PUZZLE"): { pack, index, state, failed, reveal,
+  // message }. `state` is "playing" | "solved" | "failed"; `failed` stays set
+  // through retries so a retried solve doesn't extend the streak.
+  const [puzzle, setPuzzle] = useState(null);
+  const [puzzleStats, setPuzzleStats] = useState(loadPuzzleStats);
+  const packInput = useRef(null);
+
+  // Export / import feedback: { ok: boolean, text: string } | null
+  const [recordMsg, setRecordMsg] = useState(null);
+  const importInput = useRef(null);
+
+  const { board, toMove, bounce, rules } = game;
+  const editing = !!editor;
+  const viewBoard = editing ? editor.board : board;
+  const N = viewBoard.length; // board size, set by the rules
+  const canRedo = line.ply < line.snapshots.length - 1;
 
   const aiColor = humanColor === "R" ? "B" : "R";
-  const aiTurn = mode === "AI" && toMove === aiColor;
+  const aiTurn = mode === "AI" && toMove === aiColor && !review;
+  const remoteTurn = mode === "ONLINE" && toMove !== online?.color;
+  const currentPuzzle = puzzle && puzzle.pack.puzzles[puzzle.index];
+  const puzzleLocked =
+    mode === "PUZZLE" && (toMove !== humanColor || puzzle?.state !== "playing");
+  // The board ignores your input
+  const locked = aiTurn || remoteTurn || puzzleLocked || !!review;
 
-  const legals = useMemo(() => legalMoves(board, toMove), [board, toMove]);
+  const legals = useMemo(() => game.legalMoves(), [game]);
 
   const selectedMoves = useMemo(() => {
     if (!selected) return [];
@@ -272,132 +659,510 @@ export default function App() {
     );
   }, [legals, selected, board, toMove]);
 
-  const status = useMemo(() => {
-    if (repWin) return { mode: "Repetition", winner: repWin };
-    const cross = crossingVictory(board);
-    if (cross) return { mode: "Crossing", winner: cross };
-    if (!hasLegalMoves(board, toMove))
-      return { mode: "Lockout", winner: toMove === "R" ? "B" : "R" };
-    return null;
-  }, [board, toMove, repWin]);
+  const clock = line.snapshots[shownPly].clock || initialClock(timeControl);
+  const timedOut =
+    !game.result() &&
+    timeLeft(timeControl, clock[toMove], turnElapsed(turn)).flagged;
+
+  const status = useMemo(
+    () =>
+      game.result() ||
+      (timedOut ? { mode: "Timeout", winner: opponent(toMove) } : null),
+    [game, timedOut, toMove]
+  );
+  const clockRunning =
+    timeControl.type !== "none" &&
+    !showSetup &&
+    !editor &&
+    !status &&
+    !review &&
+    mode !== "ONLINE";
+
+  const assistEnabled = mode === "HUMAN" || allowAssist;
+  const wantAnalysis =
+    assistEnabled &&
+    !status &&
+    !showSetup &&
+    !editor &&
+    !aiTurn &&
+    !review &&
+    (showAnalysis || hintFor === game);
+  const shownAnalysis = analysis?.game === game ? analysis : null;
+  const hint = review
+    ? reviewStep?.best
+    : mode === "PUZZLE"
+    ? puzzle?.reveal && !line.ply
+      ? currentPuzzle.move
+      : null
+    : hintFor === game && shownAnalysis?.result
+    ? shownAnalysis.result.lines[0].move
+    : null;
+
+  // The move that produced the board; in review the mark is on the move
+  // played from the position shown instead
+  const lastMove = editing ? null : line.snapshots[shownPly].move;
+  const markedMove = review ? reviewStep?.move : lastMove;
+  // Threats don't matter once the game is over, while editing or in review
+  const threatsLive = !status && !editing && !review;
+  // Review always marks the move played
+  const lastMoveLive = shownOverlays.lastMove || !!review;
+  const overlays = useMemo(
+    () =>
+      boardOverlays(board, toMove, rules, markedMove, {
+        lastMove: lastMoveLive,
+        threats: shownOverlays.threats && threatsLive,
+        danger: shownOverlays.danger && threatsLive,
+      }),
+    [board, toMove, rules, markedMove, shownOverlays, threatsLive, lastMoveLive]
+  );
 
   useEffect(() => setSelected(null), [toMove]);
   useEffect(() => setSelected(null), [mode, humanColor]);
 
+  const startLine = (g, tc = timeControl) =>
+    setLine({
+      snapshots: [{ game: g, move: null, clock: initialClock(tc) }],
+      ply: 0,
+    });
+  // Play from the shown ply; drops any redo line (branching). The side to
+  // move is charged for this turn; a pass earns no increment.
+  function pushSnapshot(g, move) {
+    const spent = turnElapsed(turn);
+    const after = chargeClock(timeControl, clock, toMove, spent, !!move);
+    setLine((l) => ({
+      snapshots: [
+        ...l.snapshots.slice(0, l.ply + 1),
+        { game: g, move, clock: after },
+      ],
+      ply: l.ply + 1,
+    }));
+  }
+
+  /* ---------------- Clock effects ---------------- */
+  // Each new position starts the side to move's turn from zero (positions
+  // shown in review are not new). A pause alone is not a new turn.
+  const liveGame = line.snapshots[line.ply].game;
+  const runningNow = useRef(clockRunning);
+  runningNow.current = clockRunning;
+  useEffect(() => {
+    setTurn({ spent: 0, since: runningNow.current ? Date.now() : null });
+  }, [liveGame]);
+
+  // Pause while the setup overlay is open or the game is over
+  useEffect(() => {
+    setTurn((t) => {
+      if (clockRunning) return t.since ? t : { ...t, since: Date.now() };
+      if (!t.since) return t;
+      return { spent: t.spent + Date.now() - t.since, since: null };
+    });
+  }, [clockRunning]);
+
+  // A fallen flag ends the game, so saves and records keep the timeout
+  useEffect(() => {
+    if (timedOut && !review)
+      endGame({ mode: "Timeout", winner: opponent(toMove) });
+  }, [timedOut, review, toMove]);
+
+  // Re-render when the side to move's flag falls
+  useEffect(() => {
+    if (!clockRunning || !turn.since) return;
+    const ms = timeToFlag(timeControl, clock[toMove]) - turnElapsed(turn);
+    const id = setTimeout(() => setTick((n) => n + 1), Math.max(0, ms) + 20);
+    return () => clearTimeout(id);
+  }, [clockRunning, turn, clock, toMove, timeControl]);
+
   function hardResetToSetup() {
-    setBoard(makeInitialBoard());
-    setToMove("R");
+    leaveOnline();
+    setEditor(null);
+    startLine(newGame(rules));
     setSelected(null);
-    setHistory([]);
     setFlipped(false);
-    setUseThree(true); // <<< set 3D >>>
     setShowSetup(true);
-    setBounce({
-      R: { endpoints: null, lastDir: null, pairs: 0 },
-      B: { endpoints: null, lastDir: null, pairs: 0 },
-    });
-    setRepWin(null);
   }
   function startGameFromSetup() {
-    setBoard(makeInitialBoard());
-    setToMove("R");
+    if (setupRulesError && !startPos) return;
+    const chosen = startPos ? startPos.rules : makeRules(setupRules);
+    if (setupMode === "ONLINE") {
+      const room = setupRoom.trim().toUpperCase();
+      goOnline(
+        setupServer,
+        room
+          ? { type: "join", room }
+          : { type: "create", position: positionToString(newGame(chosen)) }
+      );
+      return;
+    }
+    const tc = timeControlFrom(setupTime);
+    setTimeControl(tc);
+    startLine(newGame(chosen), tc);
     setSelected(null);
-    setHistory([]);
     setMode(setupMode);
     setHumanColor(setupHumanColor);
-    setAiLevel(
-      setupAiLevel === "EASY"
-        ? "RANDOM"
-        : setupAiLevel === "MEDIUM"
-        ? "GREEDY"
-        : setupAiLevel === "HARD"
-        ? "MINIMAX2"
-        : "MINIMAX3"
-    );
+    setAiLevel(setupAiLevel);
+    setAllowAssist(setupAllowAssist);
     setShowSetup(false);
-    setBounce({
-      R: { endpoints: null, lastDir: null, pairs: 0 },
-      B: { endpoints: null, lastDir: null, pairs: 0 },
-    });
-    setRepWin(null);
-    setUseThree(true); // <<< set 3D >>>
     setFlipped(setupMode === "AI" && setupHumanColor === "B");
   }
 
   function reset() {
-    setBoard(makeInitialBoard());
-    setToMove("R");
+    startLine(newGame(rules));
     setSelected(null);
-    setHistory([]);
-    setBounce({
-      R: { endpoints: null, lastDir: null, pairs: 0 },
-      B: { endpoints: null, lastDir: null, pairs: 0 },
-    });
-    setRepWin(null);
-    setUseThree(true); // <<< set 3D >>>
   }
   function swapTurn() {
-    setToMove((t) => (t === "R" ? "B" : "R"));
+    pushSnapshot(game.swapTurn(), null);
     setSelected(null);
   }
-  function undo() {
-    if (!history.length) return;
-    const last = history[history.length - 1];
-    setBoard(last.board);
-    setToMove(last.toMove);
-    setSelected(last.selected);
-    setHistory((h) => h.slice(0, -1));
-    // (We don't rewind bounce; OK for testing)
-  }
-
-  // Bounce pair helper
-  function updateBounce(mover, src, dst) {
-    const a = sqKey(src[0], src[1]);
-    const b = sqKey(dst[0], dst[1]);
-    const dir = a < b ? 1 : -1; // consistent direction flag
-    const ep = [a, b].sort().join("|");
-
-    setBounce((prev) => {
-      const cur = prev[mover];
-      if (cur.endpoints === ep) {
-        // same two squares as before
-        const newPairs =
-          cur.lastDir != null && cur.lastDir !== dir
-            ? cur.pairs + 1
-            : cur.pairs;
-        const next = {
-          ...prev,
-          [mover]: { endpoints: ep, lastDir: dir, pairs: newPairs },
-        };
-        if (newPairs >= 3) setRepWin(mover === "R" ? "B" : "R");
-        return next;
-      } else {
-        // new squares: start tracking
-        return { ...prev, [mover]: { endpoints: ep, lastDir: dir, pairs: 0 } };
-      }
+  // Ends the game in the shown position with a result the board doesn't
+  // give (see GameState.end), dropping the redo line like a move would
+  function endGame(result) {
+    setLine((l) => {
+      const snap = l.snapshots[l.ply];
+      if (snap.game.result()) return l;
+      return {
+        snapshots: [
+          ...l.snapshots.slice(0, l.ply),
+          { ...snap, game: snap.game.end(result) },
+        ],
+        ply: l.ply,
+      };
     });
+    setSelected(null);
+  }
+  // Hot-seat: both players agree a draw
+  const agreeDraw = () =>
+    endGame({ mode: "Draw", winner: null, reason: "Agreement" });
+  function jumpTo(ply) {
+    if (review) return;
+    // The server's line (or the puzzle's) is the only line
+    if (mode === "ONLINE" || mode === "PUZZLE") return;
+    if (ply < 0 || ply >= line.snapshots.length) return;
+    setLine((l) => ({ ...l, ply }));
+    setSelected(null);
+  }
+  function undo() {
+    if (!line.ply) return;
+    // Against the computer, go back to the last position with you to move
+    let ply = line.ply - 1;
+    while (
+      mode === "AI" &&
+      ply > 0 &&
+      line.snapshots[ply].game.toMove === aiColor
+    )
+      ply--;
+    jumpTo(ply);
+  }
+  function redo() {
+    if (canRedo) jumpTo(line.ply + 1);
   }
 
   function tryApply(move) {
-    const kind = moveKind(board, toMove, move.src, move.dst);
+    const kind = moveKind(board, toMove, move.src, move.dst, rules);
     if (!kind || status) return;
+    if (mode === "ONLINE") {
+      // Shown once the server confirms it in the next "state"
+      onlineClient.current?.send({
+        type: "move",
+        move: { src: move.src, dst: move.dst },
+      });
+      setSelected(null);
+      return;
+    }
+
+    pushSnapshot(game.play(move), { ...move, kind });
+    setSelected(null);
+  }
+
+  /* ---------------- Board editor ---------------- */
+  function openEditor() {
+    setEditor({ board: cloneBoard(board), toMove, tool: "R" });
+    setSelected(null);
+  }
+  const editBoard = (fn) => setEditor((e) => ({ ...e, board: fn(e.board) }));
+  function editSquare(r, c) {
+    const { tool } = editor;
+    editBoard((b) =>
+      tool === "pop"
+        ? popBlock(b, r, c)
+        : tool === "clear"
+        ? clearSquare(b, r, c)
+        : pushBlock(b, r, c, tool)
+    );
+  }
+  // New games (and Reset) start from the edited position until the setup
+  // overlay's "Use standard start"
+  function startFromEditor(analyse) {
+    const g = createGame({ rules, board: editor.board, toMove: editor.toMove });
+    setStartPos(g);
+    startLine(g);
+    setEditor(null);
+    setSelected(null);
+    if (analyse) {
+      setMode("HUMAN");
+      setShowAnalysis(true);
+    }
+  }
+  const editorWarnings = editor
+    ? positionWarnings(editor.board, editor.toMove, rules)
+    : [];
+
+  /* ---------------- Online play ---------------- */
+  function onOnlineMessage(msg) {
+    if (msg.type === "joined") {
+      setOnline((o) => ({ ...o, room: msg.room, color: msg.color }));
+      setHumanColor(msg.color);
+      setFlipped(msg.color === "B");
+    } else if (msg.type === "state") {
+      let res;
+      try {
+        res = replayMoves(msg.moves, parsePosition(msg.position));
+        // Resignations and agreed draws are only in the result
+        if (!res.error && msg.result && !res.game.result())
+          res = { ...res, game: res.game.end(msg.result) };
+      } catch (e) {
+        res = { error: { reason: e.message } };
+      }
+      if (res.error) {
+        setOnline((o) => ({
+          ...o,
+          error: `Server sent a game this page can't replay (${res.error.reason})`,
+        }));
+        return;
+      }
+      setLine(replayedLine(res));
+      setSelected(null);
+      setOnline((o) => ({
+        ...o,
+        players: msg.players,
+        drawOffer: msg.drawOffer,
+        rematch: msg.rematch,
+        result: msg.result,
+        error: null,
+      }));
+    } else if (msg.type === "error") {
+      setOnline((o) => ({ ...o, error: msg.message }));
+    }
+  }
+
+  // first: the message that takes a seat (create / join / resume)
+  function goOnline(url, first) {
+    leaveOnline();
+    const client = createOnlineClient(url, {
+      onMessage: onOnlineMessage,
+      onStatus: (st) => setOnline((o) => o && { ...o, status: st }),
+    });
+    onlineClient.current = client;
+    setOnline({ status: "connecting", room: first.room || null, color: null });
+    if (first.type === "resume") client.resume(first.room, first.token);
+    else client.send(first);
+    setSelected(null);
+    setMode("ONLINE");
+    setTimeControl(NO_CLOCK);
+    setAllowAssist(setupAllowAssist);
+    setShowSetup(false);
+  }
+
+  function leaveOnline() {
+    onlineClient.current?.close();
+    onlineClient.current = null;
+    setOnline(null);
+  }
 
-    // record for undo
-    const rec = { board, toMove, selected };
-    const nb = applyMove(board, { ...move, kind });
+  const sendOnline = (type) => onlineClient.current?.send({ type });
+
+  /* ---------------- Game records ---------------- */
+  function copyPositionLink() {
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}#pos=${encodeURIComponent(
+      positionToString(game)
+    )}`;
+    const copied = navigator.clipboard
+      ? navigator.clipboard.writeText(url)
+      : Promise.reject();
+    copied.then(
+      () => setRecordMsg({ ok: true, text: "Position link copied." }),
+      () => setRecordMsg({ ok: false, text: `Could not copy. Link: ${url}` })
+    );
+  }
 
-    // update repetition/bounce for mover
-    updateBounce(toMove, move.src, move.dst);
+  function exportRecord() {
+    const player = (color) =>
+      mode === "AI" && color !== humanColor
+        ? "Computer"
+        : mode === "ONLINE" && color !== humanColor
+        ? "Opponent"
+        : "Human";
+    const start = positionToString(line.snapshots[0].game);
+    const text = formatRecord(
+      {
+        Red: player("R"),
+        Blue: player("B"),
+        Mode: mode,
+        AILevel: mode === "AI" ? aiLevel : null,
+        Date: recordDate(),
+        Result: resultToken(status),
+        Termination: status && (status.reason || status.mode),
+        Position: start !== INITIAL_POSITION ? start : null,
+        TimeControl:
+          timeControl.type !== "none" ? describeTimeControl(timeControl) : null,
+      },
+      played.map((s) => s.move),
+      board.length
+    );
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `turrim-${recordDate().replace(/\./g, "")}.txt`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setRecordMsg({ ok: true, text: `Exported ${played.length} plies.` });
+  }
 
-    setHistory((h) => [...h, rec]);
-    setBoard(nb);
-    setToMove(toMove === "R" ? "B" : "R");
+  function importRecord(text) {
+    const { headers, moves } = parseRecord(text);
+    let start;
+    try {
+      start = headers.Position ? parsePosition(headers.Position) : createGame();
+    } catch (e) {
+      setRecordMsg({ ok: false, text: `Position header: ${e.message}.` });
+      return;
+    }
+    let res = replayMoves(moves, start);
+    if (res.error) {
+      const { ply, text: bad, reason } = res.error;
+      setRecordMsg({
+        ok: false,
+        text: `Ply ${ply} (${bad}): ${reason}. Nothing was loaded.`,
+      });
+      return;
+    }
+    // Resignations, timeouts and agreed draws are only in the headers
+    const ended = recordEnding(headers);
+    if (ended && !res.game.result())
+      res = { ...res, game: res.game.end(ended) };
+    leaveOnline();
+    setEditor(null);
+    setTimeControl(parseTimeControl(headers.TimeControl));
+    setLine(replayedLine(res));
     setSelected(null);
+    const importedMode = headers.Mode === "AI" ? "AI" : "HUMAN";
+    setMode(importedMode);
+    if (importedMode === "AI") {
+      setHumanColor(headers.Red === "Computer" ? "B" : "R");
+      if (AI_LEVEL_NAMES[headers.AILevel]) setAiLevel(headers.AILevel);
+    }
+    setRecordMsg({ ok: true, text: `Imported ${moves.length} plies.` });
   }
 
+  function onImportFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+    file
+      .text()
+      .then(importRecord, () =>
+        setRecordMsg({ ok: false, text: `Could not read ${file.name}.` })
+      );
+  }
+
+  /* ---------------- Saved games and preferences ---------------- */
+  // The game in progress is autosaved as it changes (not online games, which
+  // the server keeps, nor puzzles); named slots are saved on request.
+  const gameSettings = useMemo(
+    () => ({ mode, humanColor, aiLevel, allowAssist, timeControl }),
+    [mode, humanColor, aiLevel, allowAssist, timeControl]
+  );
+  const [slots, setSlots] = useState(listSaves);
+  const [slotName, setSlotName] = useState("");
+  const [slotError, setSlotError] = useState(null); // shown in setup
+  useEffect(() => {
+    if ((mode !== "HUMAN" && mode !== "AI") || showSetup) return;
+    autosave(serializeGame(line, gameSettings));
+  }, [line, gameSettings, mode, showSetup]);
+
+  function saveToSlot(e) {
+    e.preventDefault();
+    const name = slotName.trim();
+    if (!name) return;
+    const ok = saveSlot(name, serializeGame(line, gameSettings));
+    setSlots(listSaves());
+    setSlotName("");
+    setRecordMsg(
+      ok
+        ? { ok: true, text: `Saved as "${name}".` }
+        : { ok: false, text: "Could not save: browser storage is full or off." }
+    );
+  }
+  function resumeSlot(name, data) {
+    let saved;
+    try {
+      saved = deserializeGame(data);
+    } catch (e) {
+      setSlotError(`"${name}" can't be loaded: ${e.message}.`);
+      return;
+    }
+    leaveOnline();
+    setEditor(null);
+    setPuzzle(null);
+    setLine(saved.line);
+    setSelected(null);
+    setMode(saved.mode);
+    setHumanColor(saved.humanColor);
+    if (AI_LEVEL_NAMES[saved.aiLevel]) setAiLevel(saved.aiLevel);
+    setAllowAssist(saved.allowAssist);
+    setTimeControl(saved.timeControl);
+    setFlipped(saved.mode === "AI" && saved.humanColor === "B");
+    setShowSetup(false);
+    setSlotError(null);
+    setRecordMsg({ ok: true, text: `Resumed "${name}".` });
+  }
+  function deleteSave(name) {
+    deleteSlot(name);
+    setSlots(listSaves());
+  }
+
+  // View preferences and the last setup choices
+  useEffect(() => {
+    savePrefs({
+      useThree,
+      rotX,
+      rotY,
+      flipped,
+      animSpeed,
+      overlays: shownOverlays,
+      setup: {
+        mode: setupMode,
+        server: setupServer,
+        rules: setupRules,
+        humanColor: setupHumanColor,
+        aiLevel: setupAiLevel,
+        time: setupTime,
+        allowAssist: setupAllowAssist,
+      },
+    });
+  }, [
+    useThree,
+    rotX,
+    rotY,
+    flipped,
+    animSpeed,
+    shownOverlays,
+    setupMode,
+    setupServer,
+    setupRules,
+    setupHumanColor,
+    setupAiLevel,
+    setupTime,
+    setupAllowAssist,
+  ]);
+
   function onCellClick(r, c) {
+    if (cursor) setCursor([r, c]);
+    if (editor) {
+      editSquare(r, c);
+      return;
+    }
     if (status || showSetup) return;
-    if (aiTurn) return;
+    if (locked) return;
     if (selected && selected[0] === r && selected[1] === c) {
       setSelected(null);
       return;
@@ -412,59 +1177,579 @@ export default function App() {
     setSelected([r, c]);
   }
 
-  const arrowAttempt = (d) => {
-    if (!selected || showSetup || aiTurn || status) return;
-    if (topColor(board, selected[0], selected[1]) !== toMove) return;
-    const [r, c] = selected;
+  const arrowAttempt = (d, from = selected) => {
+    if (!from || showSetup || editor || locked || status) return false;
+    if (topColor(board, from[0], from[1]) !== toMove) return false;
+    const [r, c] = from;
     const dst = [r + d[0], c + d[1]];
-    const kind = moveKind(board, toMove, [r, c], dst);
-    if (!kind) return;
+    const kind = moveKind(board, toMove, [r, c], dst, rules);
+    if (!kind) return false;
     tryApply({ src: [r, c], dst, kind });
+    return true;
   };
   const arrowEnabled = (dir) => {
-    if (!selected || showSetup || aiTurn || status) return false;
+    if (!selected || showSetup || locked || status) return false;
     if (topColor(board, selected[0], selected[1]) !== toMove) return false;
     const [r, c] = selected;
     const dst = [r + dir[0], c + dir[1]];
-    return !!moveKind(board, toMove, [r, c], dst);
+    return !!moveKind(board, toMove, [r, c], dst, rules);
   };
 
+  /* ---------------- Keyboard ---------------- */
+  function onKeyDown(e) {
+    // Leave typing alone, and Enter/Space to a focused button or link
+    if (e.target.closest?.("input, textarea, select")) return;
+    if ((e.key === "Enter" || e.key === " ") && e.target.closest?.("button, a"))
+      return;
+    if (e.key === "?" || (showKeys && e.key === "Escape")) {
+      e.preventDefault();
+      setShowKeys((v) => !v);
+      return;
+    }
+    if (showKeys || showSetup) return;
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (!editor) undo();
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const dir = DIRS.find((d) => d.key === e.key);
+    if (dir) {
+      e.preventDefault();
+      // Arrows follow the screen, so they turn round with the board
+      const [dr, dc] = flipped ? [-dir.d[0], -dir.d[1]] : dir.d;
+      const at = cursor || selected;
+      if (e.shiftKey) {
+        // The tower under the cursor if it is yours, else the selected one
+        const own = at && topColor(board, at[0], at[1]) === toMove;
+        const from = own ? at : selected;
+        if (arrowAttempt([dr, dc], from))
+          setCursor([from[0] + dr, from[1] + dc]);
+        return;
+      }
+      const mid = Math.floor(N / 2);
+      setCursor(
+        cursor
+          ? [
+              Math.min(N - 1, Math.max(0, cursor[0] + dr)),
+              Math.min(N - 1, Math.max(0, cursor[1] + dc)),
+            ]
+          : at || lastMove?.dst || [mid, mid]
+      );
+      return;
+    }
+
+    switch (e.key) {
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        if (cursor) onCellClick(...cursor);
+        else setCursor(selected || [Math.floor(N / 2), Math.floor(N / 2)]);
+        break;
+      case "Escape":
+        setSelected(null);
+        break;
+      case "u":
+      case "U":
+        if (!editor) undo();
+        break;
+      case "f":
+      case "F":
+        setFlipped((f) => !f);
+        break;
+      case "v":
+      case "V":
+        setUseThree((v) => !v);
+        break;
+      case "n":
+      case "N":
+        hardResetToSetup();
+        break;
+      default:
+    }
+  }
+  // The listener stays put; it always calls this render's handler
+  const keyHandler = useRef(onKeyDown);
+  keyHandler.current = onKeyDown;
+  useEffect(() => {
+    const listener = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, []);
+  // Off the board after a change to a smaller size
+  const cursorSq = cursor && cursor[0] < N && cursor[1] < N ? cursor : null;
+  useCursorFocus(gridRef, cursorSq);
+
+  /* ---------------- Screen reader ---------------- */
+  // Typed moves: two squares ("D2 D3", "d2-d3") play, one square selects
+  function submitMoveEntry(e) {
+    e.preventDefault();
+    const fail = (text) => {
+      setMoveEntryMsg(text);
+      setAnnouncement(text);
+    };
+    const squares = moveEntry.match(/[A-Za-z]\d+/g) || [];
+    const parsed = squares.map((sq) => parseSquare(sq, N));
+    if (!squares.length || squares.length > 2 || parsed.includes(null))
+      return fail(
+        `Type one or two squares from A1 to ${squareName(0, N - 1, N)}.`
+      );
+    if (showSetup || editor || status)
+      return fail("No moves can be played now.");
+    if (locked) return fail("Wait for your turn.");
+    if (parsed.length === 1) onCellClick(...parsed[0]);
+    else {
+      const [src, dst] = parsed;
+      const kind = moveKind(board, toMove, src, dst, rules);
+      if (!kind)
+        return fail(
+          `${squares.join(" to ").toUpperCase()} is not a legal move for ${
+            toMove === "R" ? "Red" : "Blue"
+          }.`
+        );
+      tryApply({ src, dst, kind });
+    }
+    setMoveEntry("");
+    setMoveEntryMsg(null);
+  }
+
+  // Announce each move (and the computer's reply), repetition warnings and
+  // results in the live region. `announced` keeps a re-run from repeating one.
+  const announced = useRef({ game, ply: line.ply, over: null });
+  useEffect(() => {
+    const { toMove, bounce, rules } = game;
+    const last = announced.current;
+    announced.current = { game, ply: line.ply, over: status?.mode || null };
+    const name = (c) => (c === "R" ? "Red" : "Blue");
+    const parts = [];
+    // Review steps announce themselves (see showReviewStep)
+    if (game !== last.game && !review) {
+      if (line.ply === last.ply + 1) {
+        const mover = line.snapshots[line.ply - 1].game.toMove;
+        const text = moveLabel(line.snapshots[line.ply].move, mover, N);
+        parts.push(
+          mode === "AI" && mover === aiColor ? `Computer: ${text}` : text
+        );
+      } else
+        parts.push(line.ply ? `Position after ply ${line.ply}` : "New game");
+      if (!status && bounce[toMove].pairs === rules.repetitionLimit - 1)
+        parts.push(
+          `Warning: one more A↔B pair and ${name(toMove)} loses by repetition`
+        );
+    }
+    if (status && status.mode !== last.over)
+      parts.push(
+        status.winner
+          ? `${name(status.winner)} wins, ${resultText(status)}`
+          : resultText(status)
+      );
+    if (parts.length) setAnnouncement(`${parts.join(". ")}.`);
+  }, [game, status, review, line, N, mode, aiColor]);
+
+  /* ---------------- Drag and drop ---------------- */
+  // Both boards: a tower you may move can be dragged by its top block, which
+  // selects it; dropping it on a legal destination plays the move.
+  const canDrag = (r, c) =>
+    !editor &&
+    !showSetup &&
+    !locked &&
+    !status &&
+    topColor(board, r, c) === toMove;
+  function dropMove(from, to) {
+    const mv = legals.find(
+      (m) =>
+        m.src[0] === from[0] &&
+        m.src[1] === from[1] &&
+        m.dst[0] === to[0] &&
+        m.dst[1] === to[1]
+    );
+    if (mv) tryApply(mv);
+    return !!mv;
+  }
+
+  // 2D grid: { from, x, y, over, moved } while the pointer is down on a
+  // draggable tower; a press that never leaves its square stays a click
+  const [drag2d, setDrag2d] = useState(null);
+  const dropClick = useRef(false); // swallow the click that ends a drag
+  const cellAt = (x, y) => {
+    const cell = document.elementFromPoint(x, y)?.closest("[data-cell]");
+    return cell ? [Number(cell.dataset.r), Number(cell.dataset.c)] : null;
+  };
+  function onGridPointerDown(e) {
+    const cell = e.target.closest("[data-cell]");
+    dropClick.current = false;
+    if (!cell || e.button !== 0) return;
+    const from = [Number(cell.dataset.r), Number(cell.dataset.c)];
+    if (!canDrag(...from)) return;
+    setDrag2d({ from, x: e.clientX, y: e.clientY, over: from, moved: false });
+  }
+  const dropHandler = useRef(dropMove);
+  dropHandler.current = dropMove;
+  useEffect(() => {
+    if (!drag2d) return;
+    const move = (e) => {
+      const over = cellAt(e.clientX, e.clientY);
+      setDrag2d((d) => {
+        if (!d) return d;
+        const moved =
+          d.moved ||
+          (!!over && (over[0] !== d.from[0] || over[1] !== d.from[1]));
+        return { ...d, x: e.clientX, y: e.clientY, over, moved };
+      });
+    };
+    const up = () => {
+      setDrag2d(null);
+      if (!drag2d.moved) return;
+      dropClick.current = true;
+      if (drag2d.over) dropHandler.current(drag2d.from, drag2d.over);
+    };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+    return () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+    };
+  }, [drag2d]);
+  // The dragged tower is selected once the block leaves its square
+  const dragMoved = !!drag2d?.moved;
+  const dragFrom = drag2d?.from; // the same array for the whole drag
+  useEffect(() => {
+    if (dragMoved) setSelected(dragFrom);
+  }, [dragMoved, dragFrom]);
+  const dragOverMove =
+    drag2d?.over &&
+    selectedMoves.find(
+      (m) => m.dst[0] === drag2d.over[0] && m.dst[1] === drag2d.over[1]
+    );
+  const dragOverFrom =
+    drag2d?.over &&
+    drag2d.over[0] === drag2d.from[0] &&
+    drag2d.over[1] === drag2d.from[1];
+
   const selectedOwner = selected
     ? topColor(board, selected[0], selected[1]) || "Empty"
     : "—";
 
+  /* ---------------- Puzzles ---------------- */
+  function startPuzzle(pack, index) {
+    const p = pack.puzzles[index];
+    const retry = puzzle?.pack === pack && puzzle.index === index;
+    leaveOnline();
+    setEditor(null);
+    setTimeControl(NO_CLOCK);
+    startLine(p.game, NO_CLOCK);
+    setMode("PUZZLE");
+    setHumanColor(p.game.toMove);
+    setFlipped(p.game.toMove === "B");
+    setAllowAssist(false);
+    setShowAnalysis(false);
+    setSelected(null);
+    setShowSetup(false);
+    setPuzzle({
+      pack,
+      index,
+      state: "playing",
+      failed: retry && puzzle.failed,
+      reveal: false,
+      message: null,
+    });
+  }
+  // First puzzle of `pack` not solved yet (or the first one)
+  function openPuzzles(pack = puzzle?.pack || BUILT_IN_PUZZLES) {
+    const i = pack.puzzles.findIndex(
+      (p) => !puzzleStats.solved[puzzleKey(pack, p)]
+    );
+    startPuzzle(pack, Math.max(i, 0));
+  }
+  // Only a first-try solve extends the streak; any miss resets it
+  function finishPuzzle(solved, message) {
+    const firstTry = !puzzle.failed;
+    setPuzzle((q) => ({
+      ...q,
+      state: solved ? "solved" : "failed",
+      failed: q.failed || !solved,
+      message,
+    }));
+    setPuzzleStats((st) => {
+      if (!solved) return { ...st, streak: 0 };
+      const streak = firstTry ? st.streak + 1 : st.streak;
+      return {
+        streak,
+        best: Math.max(st.best, streak),
+        solved: { ...st.solved, [puzzleKey(puzzle.pack, currentPuzzle)]: true },
+      };
+    });
+  }
+  function revealSolution() {
+    if (puzzle.state === "playing") finishPuzzle(false, null);
+    startLine(currentPuzzle.game, NO_CLOCK);
+    setPuzzle((q) => ({ ...q, reveal: true }));
+  }
+  function onPackFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then(
+      (text) => {
+        let pack;
+        try {
+          pack = readPack(text);
+        } catch (err) {
+          setPuzzle((q) => ({
+            ...q,
+            message: `${file.name}: ${err.message}.`,
+          }));
+          return;
+        }
+        openPuzzles(pack);
+      },
+      () =>
+        setPuzzle((q) => ({ ...q, message: `Could not read ${file.name}.` }))
+    );
+  }
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PUZZLE_STATS_KEY, JSON.stringify(puzzleStats));
+    } catch {
+      // storage full or blocked: the streak lasts for this visit only
+    }
+  }, [puzzleStats]);
+
+  // After each of your moves: is it still a forced win in the moves left?
+  // If so the computer answers with the defence that holds out longest.
+  // Its handlers come through a ref, so a re-render doesn't restart it.
+  const puzzlePlay = useRef(null);
+  puzzlePlay.current = { finish: finishPuzzle, apply: tryApply };
+  useEffect(() => {
+    if (mode !== "PUZZLE" || puzzle?.state !== "playing" || editing) return;
+    const { finish, apply } = puzzlePlay.current;
+    const { board, toMove, bounce, rules } = game;
+    const solver = humanColor;
+    const res = game.result();
+    if (res) {
+      if (res.winner === solver) finish(true, null);
+      else
+        finish(
+          false,
+          res.winner ? "The defence won instead." : "It ended in a draw."
+        );
+      return;
+    }
+    if (toMove === solver) return;
+    const movesLeft = currentPuzzle.moves - Math.ceil(line.ply / 2);
+    if (movesLeft <= 0) {
+      finish(false, "Out of moves without a win.");
+      return;
+    }
+
+    if (!aiClient.current) aiClient.current = createAiClient();
+    const client = aiClient.current;
+    let live = true;
+    const request = { board, color: toMove, bounce, rules };
+    setThinking({ depth: 0 });
+    client
+      .think({
+        ...request,
+        task: "forced",
+        winner: solver,
+        plies: 2 * movesLeft + 1,
+      })
+      .then((forced) => {
+        if (!live) return null;
+        if (forced)
+          return client.think({ ...request, task: "defend", movesLeft });
+        setThinking(null);
+        finish(false, "That move lets the defence escape.");
+        return null;
+      })
+      .then((move) => {
+        if (!live || !move) return;
+        setThinking(null);
+        apply(move);
+      });
+
+    return () => {
+      live = false;
+      client.cancel();
+      setThinking(null);
+    };
+  }, [mode, puzzle?.state, game, editing, humanColor, currentPuzzle, line.ply]);
+
   /* ---------------- AI turn effect ---------------- */
+  // Read once the AI moves, so a re-render doesn't restart its search
+  const aiPlay = useRef(null);
+  aiPlay.current = {
+    // Let the move just played finish animating first
+    delay: Math.max(220, useThree ? animationSeconds(animSpeed) * 1000 : 0),
+    apply: (move) => (move ? tryApply(move) : swapTurn()),
+  };
   useEffect(() => {
-    if (status || showSetup) return;
+    if (status || showSetup || editing) return;
     if (!aiTurn) return;
 
+    if (!aiClient.current) aiClient.current = createAiClient();
+    const client = aiClient.current;
+    let live = true; // false once reset/undo/etc. moved on from this position
+
     const t = setTimeout(() => {
+      const { board, bounce, rules } = game;
       const color = aiColor;
-      const moves = legalMoves(board, color);
+      const moves = legalMoves(board, color, rules);
       if (!moves.length) {
-        setToMove(color === "R" ? "B" : "R");
+        aiPlay.current.apply(null);
         return;
       }
-      const aiPrev = bounce[color]; // avoid bouncing
-      const avoidKey = aiPrev?.endpoints ? null : null;
-
-      let move = null;
-      if (aiLevel === "RANDOM") move = pickRandom(moves, avoidKey);
-      else if (aiLevel === "GREEDY") move = pickGreedy(board, color, avoidKey);
-      else if (aiLevel === "MINIMAX2")
-        move = pickMinimax(board, color, 2, avoidKey);
-      else move = pickMinimax(board, color, 3, avoidKey);
 
-      if (move) tryApply(move);
-      else setToMove(color === "R" ? "B" : "R");
-    }, 220);
+      setThinking({ depth: 0 });
+      client
+        .think(
+          { board, color, level: aiLevel, bounce, rules },
+          { onDepth: (depth) => live && setThinking({ depth }) }
+        )
+        .then((move) => {
+          if (!live) return;
+          setThinking(null);
+          aiPlay.current.apply(move);
+        });
+    }, aiPlay.current.delay);
+
+    return () => {
+      live = false;
+      clearTimeout(t);
+      client.cancel();
+      setThinking(null);
+    };
+  }, [aiTurn, aiLevel, aiColor, game, status, showSetup, editing]);
+
+  /* ---------------- Hint / analysis effect ---------------- */
+  useEffect(() => {
+    if (!wantAnalysis) return;
+    if (!analysisClient.current) analysisClient.current = createAiClient();
+    const client = analysisClient.current;
+    let live = true;
+
+    setAnalysis({ game, depth: 0, result: null });
+    client
+      .think(
+        {
+          task: "analyze",
+          board: game.board,
+          color: game.toMove,
+          bounce: game.bounce,
+          rules: game.rules,
+        },
+        {
+          onDepth: (depth) =>
+            live && setAnalysis({ game, depth, result: null }),
+        }
+      )
+      .then((result) => {
+        if (live) setAnalysis({ game, depth: result?.depth || 0, result });
+      });
+
+    return () => {
+      live = false;
+      client.cancel();
+    };
+  }, [wantAnalysis, game]);
+
+  /* ---------------- Game review ---------------- */
+  // Replays the line up to the position on the board through the engine, on
+  // its own worker; any change to the line ends the review.
+  function startReview() {
+    const steps = line.snapshots.slice(1, line.ply + 1).map((snap, i) => {
+      const before = line.snapshots[i].game;
+      return {
+        board: before.board,
+        color: before.toMove,
+        bounce: before.bounce,
+        move: snap.move,
+      };
+    });
+    if (!steps.length) return;
+    if (!reviewClient.current) reviewClient.current = createAiClient();
+    setSelected(null);
+    setReview({ total: steps.length, done: 0, entries: null, index: 0 });
+    reviewClient.current
+      .think(
+        { task: "review", steps, rules },
+        { onDepth: (done) => setReview((r) => r && { ...r, done }) }
+      )
+      .then((entries) =>
+        setReview((r) => r && { ...r, entries, done: entries.length })
+      );
+  }
+  function closeReview() {
+    reviewClient.current?.cancel();
+    setReview(null);
+  }
+  useEffect(closeReview, [line]);
+
+  function showReviewStep(index) {
+    const entry = review?.entries?.[index];
+    if (!entry) return;
+    setReview({ ...review, index });
+    const text = [
+      `Move ${index + 1}: ${moveLabel(entry.move, entry.color, N)}`,
+    ];
+    if (entry.tag) text.push(TAG_NAMES[entry.tag]);
+    if (entry.best && entry.tag !== "best")
+      text.push(`engine prefers ${moveLabel(entry.best, entry.color, N)}`);
+    setAnnouncement(`${text.join(", ")}.`);
+  }
 
-    return () => clearTimeout(t);
-  }, [aiTurn, aiLevel, aiColor, board, status, showSetup, bounce]); // eslint-disable-line
+  useEffect(
+    () => () => {
+      aiClient.current?.dispose();
+      aiClient.current = null;
+      analysisClient.current?.dispose();
+      analysisClient.current = null;
+      reviewClient.current?.dispose();
+      reviewClient.current = null;
+      onlineClient.current?.close();
+      onlineClient.current = null;
+    },
+    []
+  );
 
   /* ================== UI ================== */
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 px-4 py-6">
+      {/* Block being dragged on the 2D grid */}
+      {drag2d?.moved && (
+        <div
+          className="fixed z-[80] pointer-events-none -translate-x-1/2 -translate-y-1/2 flex flex-col items-center gap-1"
+          style={{ left: drag2d.x, top: drag2d.y }}
+        >
+          <div
+            className={cx(
+              "w-12 h-4 rounded-sm border border-black/30 shadow-lg",
+              topColor(board, ...drag2d.from) === "R"
+                ? "bg-rose-500"
+                : "bg-sky-500",
+              !dragOverMove && "opacity-60"
+            )}
+          />
+          {drag2d.over && !dragOverFrom && (
+            <div
+              className={cx(
+                "px-2 py-0.5 rounded text-xs whitespace-nowrap",
+                dragOverMove
+                  ? "bg-lime-300 text-slate-900 font-semibold"
+                  : "bg-slate-800 text-slate-300"
+              )}
+            >
+              {dragOverMove ? KIND_NAMES[dragOverMove.kind] : "Not legal"}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div aria-live="polite" className="sr-only">
+        {announcement}
+      </div>
       <div className="max-w-6xl mx-auto grid lg:grid-cols-[1fr_380px] gap-6 items-start">
         <div>
           <h1 className="text-2xl font-semibold mb-3">TURRIM — Play Test</h1>
@@ -507,19 +1792,52 @@ export default function App() {
               {useThree ? "Switch to 2D" : "Switch to 3D"}
             </button>
 
+            <label className="text-sm text-slate-300">
+              Animation
+              <select
+                value={animSpeed}
+                onChange={(e) => setAnimSpeed(e.target.value)}
+                disabled={!useThree}
+                className="ml-2 px-2 py-1 rounded bg-slate-800 border border-slate-700 disabled:opacity-40"
+              >
+                {ANIMATION_SPEEDS.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <button
+              onClick={() => setShowKeys(true)}
+              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              title="Keyboard shortcuts (?)"
+            >
+              Keys
+            </button>
+
             <button
               onClick={undo}
               className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
-              disabled={!history.length}
+              disabled={!line.ply || mode === "ONLINE" || mode === "PUZZLE"}
             >
               Undo
             </button>
             <button
-              onClick={reset}
-              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              onClick={redo}
+              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              disabled={!canRedo || mode === "ONLINE" || mode === "PUZZLE"}
             >
-              Reset
+              Redo
             </button>
+            {mode !== "ONLINE" && mode !== "PUZZLE" && (
+              <button
+                onClick={reset}
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              >
+                Reset
+              </button>
+            )}
 
             {mode === "HUMAN" && (
               <button
@@ -529,6 +1847,45 @@ export default function App() {
                 Swap turn
               </button>
             )}
+            {mode === "HUMAN" && (
+              <button
+                onClick={agreeDraw}
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                disabled={!!status || editing}
+                title="Both players agree to end the game as a draw"
+              >
+                Agree draw
+              </button>
+            )}
+
+            <button
+              onClick={() => setHintFor(game)}
+              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              disabled={!assistEnabled || !!status || aiTurn || editing}
+              title={
+                assistEnabled
+                  ? "Suggest a move for the side to move"
+                  : "Hints are off in this game (see New game setup)"
+              }
+            >
+              {hintFor === game && !hint ? "Hint…" : "Hint"}
+            </button>
+
+            <button
+              onClick={openEditor}
+              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              disabled={!!editor || mode === "ONLINE" || mode === "PUZZLE"}
+            >
+              Edit position
+            </button>
+
+            <button
+              onClick={() => openPuzzles()}
+              className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              disabled={!!editor || mode === "ONLINE"}
+            >
+              Puzzles
+            </button>
 
             <button
               onClick={hardResetToSetup}
@@ -544,7 +1901,22 @@ export default function App() {
               >
                 {toMove === "R" ? "Red" : "Blue"}
               </span>
+              {thinking && (
+                <span className="ml-2 text-slate-400 animate-pulse">
+                  thinking…{thinking.depth > 0 && ` depth ${thinking.depth}`}
+                </span>
+              )}
             </div>
+
+            {timeControl.type !== "none" && (
+              <Clocks
+                timeControl={timeControl}
+                clock={clock}
+                toMove={toMove}
+                turn={turn}
+                running={clockRunning}
+              />
+            )}
           </div>
 
           {/* ---- BOARD AREA ---- */}
@@ -554,10 +1926,22 @@ export default function App() {
           >
             {useThree ? (
               <ThreeBoard
-                board={board}
+                board={viewBoard}
                 flipped={flipped}
                 selected={selected}
                 selectedMoves={selectedMoves}
+                hint={hint}
+                lastMove={lastMove}
+                overlays={overlays}
+                cursor={cursorSq}
+                onCellFocus={(r, c) => setCursor([r, c])}
+                canDrag={canDrag}
+                onDragStart={(r, c) => setSelected([r, c])}
+                onDrop={dropMove}
+                speed={animSpeed}
+                crossing={
+                  !editing && status?.mode === "Crossing" ? status.winner : null
+                }
                 onCellClick={onCellClick}
               />
             ) : (
@@ -588,8 +1972,20 @@ export default function App() {
                   />
                   {/* grid layer */}
                   <div
-                    className="absolute inset-3 grid grid-cols-8 grid-rows-8 gap-1 z-20"
+                    ref={gridRef}
+                    role="grid"
+                    aria-label={`Board, ${N} by ${N}`}
+                    className="absolute inset-3 grid gap-1 z-20 touch-none"
+                    style={{
+                      gridTemplateColumns: `repeat(${N}, minmax(0, 1fr))`,
+                      gridTemplateRows: `repeat(${N}, minmax(0, 1fr))`,
+                    }}
+                    onPointerDown={onGridPointerDown}
                     onClick={(e) => {
+                      if (dropClick.current) {
+                        dropClick.current = false;
+                        return;
+                      }
                       const cell = e.target.closest("[data-cell]");
                       if (!cell) return;
                       const r = parseInt(cell.getAttribute("data-r"), 10);
@@ -597,85 +1993,121 @@ export default function App() {
                       if (!Number.isInteger(r) || !Number.isInteger(c)) return;
                       onCellClick(r, c);
                     }}
-                  >
-                    {Array.from({ length: N * N }).map((_, i) => {
-                      const vr = Math.floor(i / N),
-                        vc = i % N;
-                      const r = flipped ? N - 1 - vr : vr;
-                      const c = flipped ? N - 1 - vc : vc;
-
-                      const isSel =
-                        selected && selected[0] === r && selected[1] === c;
-                      const legalHere = selectedMoves.find(
-                        (m) => m.dst[0] === r && m.dst[1] === c
-                      );
-                      const top = topColor(board, r, c);
-                      const h = height(board, r, c);
-
-                      const labelCol = String.fromCharCode(
-                        65 + (flipped ? N - 1 - c : c)
-                      );
-                      const labelRow = flipped ? r + 1 : N - r;
-
-                      return (
-                        <div
-                          key={i}
-                          data-cell
-                          data-r={r}
-                          data-c={c}
-                          role="button"
-                          tabIndex={0}
-                          className={cx(
-                            "relative rounded-md p-1 transition-colors",
-                            (vr + vc) % 2 === 0
-                              ? "bg-slate-800/70"
-                              : "bg-slate-700/70",
-                            isSel && "ring-2 ring-amber-300",
-                            legalHere && "outline outline-2 outline-lime-300",
-                            !top && "opacity-90",
-                            "cursor-pointer"
-                          )}
-                          title={h ? `${top}${h}` : "Empty"}
-                        >
-                          {legalHere && !showSetup && !status && (
-                            <div className="absolute inset-0 grid place-items-center pointer-events-none">
-                              <div className="w-4 h-4 rounded-full bg-lime-300/80" />
-                            </div>
-                          )}
-                          {h > 0 && (
-                            <div className="w-full h-full flex flex-col-reverse gap-0.5 pointer-events-none">
-                              {board[r][c].map((block, idx) => (
-                                <div
-                                  key={idx}
-                                  className={cx(
-                                    "h-4 rounded-sm border border-black/30",
-                                    block === "R"
-                                      ? "bg-rose-500"
-                                      : "bg-sky-500",
-                                    "shadow-[inset_0_2px_0_rgba(255,255,255,0.25),0_2px_4px_rgba(0,0,0,0.35)]"
-                                  )}
-                                  style={{
-                                    transform: `translateZ(${idx * 2}px)`,
-                                  }}
-                                />
-                              ))}
+                  >
+                    {Array.from({ length: N }, (_, vr) => (
+                      <div key={vr} role="row" className="contents">
+                        {Array.from({ length: N }, (_, vc) => {
+                          const i = vr * N + vc;
+                          const r = flipped ? N - 1 - vr : vr;
+                          const c = flipped ? N - 1 - vc : vc;
+
+                          const isSel =
+                            selected && selected[0] === r && selected[1] === c;
+                          const legalHere = selectedMoves.find(
+                            (m) => m.dst[0] === r && m.dst[1] === c
+                          );
+                          const isHint =
+                            hint &&
+                            [hint.src, hint.dst].some(
+                              ([hr, hc]) => hr === r && hc === c
+                            );
+                          const top = topColor(viewBoard, r, c);
+                          const h = height(viewBoard, r, c);
+                          const key = sqKey(r, c);
+
+                          return (
+                            <div
+                              key={i}
+                              data-cell
+                              data-r={r}
+                              data-c={c}
+                              role="gridcell"
+                              tabIndex={
+                                (
+                                  cursorSq
+                                    ? cursorSq[0] === r && cursorSq[1] === c
+                                    : !vr && !vc
+                                )
+                                  ? 0
+                                  : -1
+                              }
+                              aria-selected={!!isSel}
+                              aria-label={squareLabel(viewBoard, r, c, {
+                                legal: !!legalHere,
+                                overlays,
+                              })}
+                              onFocus={() =>
+                                (cursorSq?.[0] !== r || cursorSq[1] !== c) &&
+                                setCursor([r, c])
+                              }
+                              className={cx(
+                                "relative rounded-md p-1 transition-colors",
+                                (vr + vc) % 2 === 0
+                                  ? "bg-slate-800/70"
+                                  : "bg-slate-700/70",
+                                isSel && "ring-2 ring-amber-300",
+                                !isSel && isHint && "ring-2 ring-purple-400",
+                                legalHere &&
+                                  "outline outline-2 outline-lime-300",
+                                !top && "opacity-90",
+                                "cursor-pointer"
+                              )}
+                              title={h ? `${top}${h}` : "Empty"}
+                            >
+                              {cursorSq?.[0] === r && cursorSq[1] === c && (
+                                <div className="absolute -inset-0.5 rounded-md border-2 border-cyan-300 pointer-events-none" />
+                              )}
+                              {overlays.lastMove.has(key) && (
+                                <div className="absolute inset-0 rounded-md bg-amber-200/15 pointer-events-none" />
+                              )}
+                              {overlays.threats.has(key) && (
+                                <div className="absolute inset-0 rounded-md border-2 border-dashed border-rose-400 pointer-events-none" />
+                              )}
+                              {overlays.danger.has(key) && (
+                                <div className="absolute right-1 top-1 text-[10px] text-orange-300 animate-pulse pointer-events-none">
+                                  ▲
+                                </div>
+                              )}
+                              {legalHere && !showSetup && !status && (
+                                <div className="absolute inset-0 grid place-items-center pointer-events-none">
+                                  <div className="w-4 h-4 rounded-full bg-lime-300/80" />
+                                </div>
+                              )}
+                              {h > 0 && (
+                                <div className="w-full h-full flex flex-col-reverse gap-0.5 pointer-events-none">
+                                  {viewBoard[r][c].map((block, idx) => (
+                                    <div
+                                      key={idx}
+                                      className={cx(
+                                        "h-4 rounded-sm border border-black/30",
+                                        block === "R"
+                                          ? "bg-rose-500"
+                                          : "bg-sky-500",
+                                        "shadow-[inset_0_2px_0_rgba(255,255,255,0.25),0_2px_4px_rgba(0,0,0,0.35)]"
+                                      )}
+                                      style={{
+                                        transform: `translateZ(${idx * 2}px)`,
+                                      }}
+                                    />
+                                  ))}
+                                </div>
+                              )}
+                              <div className="absolute left-1 top-1 text-[10px] text-slate-300/70 pointer-events-none">
+                                {squareName(r, c, N)}
+                              </div>
                             </div>
-                          )}
-                          <div className="absolute left-1 top-1 text-[10px] text-slate-300/70 pointer-events-none">
-                            {labelCol}
-                            {labelRow}
-                          </div>
-                        </div>
-                      );
-                    })}
+                          );
+                        })}
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
             )}
           </div>
 
-          {/* Win overlay */}
-          {status && !showSetup && (
+          {/* Result overlay */}
+          {status && !showSetup && !editor && !review && mode !== "PUZZLE" && (
             <div className="fixed inset-0 z-50 flex items-center justify-center">
               <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" />
               <div className="relative z-10 w-[min(92vw,560px)] rounded-3xl border border-slate-700 bg-slate-900/90 p-8 shadow-2xl">
@@ -693,27 +2125,46 @@ export default function App() {
                   </svg>
                   <div>
                     <h2 className="text-3xl font-extrabold tracking-tight">
-                      <span
-                        className={
-                          status.winner === "R"
-                            ? "text-rose-300"
-                            : "text-sky-300"
-                        }
-                      >
-                        {status.winner === "R" ? "Red" : "Blue"}
-                      </span>{" "}
-                      wins!
+                      {status.winner ? (
+                        <>
+                          <span
+                            className={
+                              status.winner === "R"
+                                ? "text-rose-300"
+                                : "text-sky-300"
+                            }
+                          >
+                            {status.winner === "R" ? "Red" : "Blue"}
+                          </span>{" "}
+                          wins!
+                        </>
+                      ) : (
+                        "Draw!"
+                      )}
                     </h2>
-                    <p className="text-slate-300">
-                      {status.mode === "Crossing"
-                        ? "Crossing Victory"
-                        : status.mode === "Lockout"
-                        ? "Lockout Victory"
-                        : "Repetition Victory"}
-                    </p>
+                    <p className="text-slate-300">{resultText(status)}</p>
                   </div>
                 </div>
                 <div className="mt-6 flex gap-3">
+                  {mode === "ONLINE" && (
+                    <button
+                      onClick={() => sendOnline("rematch")}
+                      disabled={online?.rematch?.includes(online.color)}
+                      className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 text-white font-medium disabled:opacity-50"
+                    >
+                      {online?.rematch?.includes(online.color)
+                        ? "Rematch offered…"
+                        : online?.rematch?.length
+                        ? "Accept rematch"
+                        : "Offer rematch"}
+                    </button>
+                  )}
+                  <button
+                    onClick={startReview}
+                    className="px-4 py-2 rounded-lg bg-slate-700 hover:bg-slate-600 text-white font-medium"
+                  >
+                    Review game
+                  </button>
                   <button
                     onClick={hardResetToSetup}
                     className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-medium"
@@ -725,17 +2176,261 @@ export default function App() {
             </div>
           )}
 
-          {/* Repetition warning (2 pairs reached) */}
-          {!status && bounce[toMove].pairs === 2 && (
-            <div className="mt-3 p-2 rounded bg-amber-900/40 border border-amber-700 text-amber-200">
-              Warning: repeating back-and-forth with the same piece. One more
-              A↔B pair and you lose by repetition.
-            </div>
-          )}
+          {/* Repetition warning (one pair short of the limit) */}
+          {!status &&
+            !editor &&
+            bounce[toMove].pairs === rules.repetitionLimit - 1 && (
+              <div className="mt-3 p-2 rounded bg-amber-900/40 border border-amber-700 text-amber-200">
+                Warning: repeating back-and-forth with the same piece. One more
+                A↔B pair and you lose by repetition.
+              </div>
+            )}
         </div>
 
         {/* Side panel */}
         <div className="sticky top-6">
+          {mode === "PUZZLE" && puzzle && (
+            <div className="mb-4 rounded-2xl bg-slate-900/70 border border-purple-700/60 p-4 shadow-xl">
+              <h2 className="text-lg font-semibold">
+                Puzzle {puzzle.index + 1} / {puzzle.pack.puzzles.length}
+                {puzzleStats.solved[puzzleKey(puzzle.pack, currentPuzzle)] && (
+                  <span className="ml-2 text-sm text-emerald-300">✓</span>
+                )}
+              </h2>
+              <div className="text-sm text-slate-400 mb-2">
+                {puzzle.pack.name}
+              </div>
+              <div className="text-sm text-slate-300">
+                <span
+                  className={
+                    humanColor === "R" ? "text-rose-300" : "text-sky-300"
+                  }
+                >
+                  {humanColor === "R" ? "Red" : "Blue"}
+                </span>{" "}
+                to move and win in {currentPuzzle.moves}{" "}
+                {currentPuzzle.moves === 1 ? "move" : "moves"}: force a Crossing
+                or a Lockout against any defence.
+              </div>
+              <div
+                className={cx(
+                  "mt-2 text-sm",
+                  puzzle.state === "solved"
+                    ? "text-emerald-300"
+                    : puzzle.state === "failed"
+                    ? "text-rose-300"
+                    : "text-slate-400"
+                )}
+              >
+                {puzzle.state === "solved"
+                  ? "Solved!"
+                  : puzzle.state === "failed"
+                  ? puzzle.message || "Not solved."
+                  : thinking
+                  ? "Checking your move…"
+                  : "Your move."}
+                {puzzle.reveal &&
+                  ` Solution: ${moveToText(
+                    currentPuzzle.move,
+                    N
+                  )} (highlighted).`}
+              </div>
+              {puzzle.state === "playing" && puzzle.message && (
+                <div className="mt-2 text-sm text-rose-300">
+                  {puzzle.message}
+                </div>
+              )}
+              <div className="mt-2 text-sm text-slate-300">
+                Streak {puzzleStats.streak} · Best {puzzleStats.best} · Solved{" "}
+                {
+                  puzzle.pack.puzzles.filter(
+                    (p) => puzzleStats.solved[puzzleKey(puzzle.pack, p)]
+                  ).length
+                }
+                /{puzzle.pack.puzzles.length}
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <button
+                  onClick={() => startPuzzle(puzzle.pack, puzzle.index)}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                >
+                  Retry
+                </button>
+                <button
+                  onClick={revealSolution}
+                  disabled={puzzle.reveal}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                >
+                  Show solution
+                </button>
+                <button
+                  onClick={() => startPuzzle(puzzle.pack, puzzle.index - 1)}
+                  disabled={puzzle.index === 0}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                >
+                  Previous
+                </button>
+                <button
+                  onClick={() => startPuzzle(puzzle.pack, puzzle.index + 1)}
+                  disabled={puzzle.index + 1 >= puzzle.pack.puzzles.length}
+                  className={cx(
+                    "px-3 py-1 rounded text-sm disabled:opacity-40",
+                    puzzle.state === "solved"
+                      ? "bg-emerald-700 hover:bg-emerald-600"
+                      : "bg-slate-800 hover:bg-slate-700"
+                  )}
+                >
+                  Next
+                </button>
+                <button
+                  onClick={() => packInput.current?.click()}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                >
+                  Load pack…
+                </button>
+                {puzzle.pack !== BUILT_IN_PUZZLES && (
+                  <button
+                    onClick={() => openPuzzles(BUILT_IN_PUZZLES)}
+                    className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                  >
+                    Built-in pack
+                  </button>
+                )}
+                <input
+                  ref={packInput}
+                  type="file"
+                  accept=".json,application/json"
+                  className="hidden"
+                  onChange={onPackFile}
+                />
+              </div>
+            </div>
+          )}
+
+          {review && (
+            <div className="mb-4 rounded-2xl bg-slate-900/70 border border-indigo-700/60 p-4 shadow-xl">
+              <div className="flex items-center">
+                <h2 className="text-lg font-semibold">Game review</h2>
+                <button
+                  onClick={closeReview}
+                  className="ml-auto px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                >
+                  Close
+                </button>
+              </div>
+              {!review.entries ? (
+                <div className="mt-2 text-sm text-slate-400">
+                  <div className="animate-pulse">
+                    Reviewing move {Math.min(review.done + 1, review.total)} of{" "}
+                    {review.total}…
+                  </div>
+                  <div className="mt-2 h-2 rounded-full overflow-hidden bg-slate-800">
+                    <div
+                      className="h-full bg-indigo-500 transition-all"
+                      style={{
+                        width: `${(100 * review.done) / review.total}%`,
+                      }}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <ReviewPanel review={review} size={N} onStep={showReviewStep} />
+              )}
+            </div>
+          )}
+
+          {editor && (
+            <div className="mb-4 rounded-2xl bg-slate-900/70 border border-amber-700/60 p-4 shadow-xl">
+              <h2 className="text-lg font-semibold mb-1">Board editor</h2>
+              <div className="text-sm text-slate-300 mb-3">
+                Click a square to apply the tool.
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {EDITOR_TOOLS.map((t) => (
+                  <button
+                    key={t.id}
+                    onClick={() => setEditor((e) => ({ ...e, tool: t.id }))}
+                    className={cx(
+                      "px-3 py-1 rounded border text-sm",
+                      editor.tool === t.id
+                        ? "bg-slate-700 border-slate-400"
+                        : "bg-slate-800 border-slate-700 hover:bg-slate-700",
+                      t.id === "R" && "text-rose-300",
+                      t.id === "B" && "text-sky-300"
+                    )}
+                  >
+                    {t.name}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {[
+                  ["Clear board", () => emptyBoard(board.length)],
+                  ["Initial position", () => createGame({ rules }).board],
+                  ["Mirror ↕", mirrorRanks],
+                  ["Mirror ↔", mirrorFiles],
+                  ["Swap colours", swapColors],
+                ].map(([label, fn]) => (
+                  <button
+                    key={label}
+                    onClick={() => editBoard(fn)}
+                    className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-3 flex items-center gap-2 text-sm text-slate-300">
+                Side to move:
+                {COLORS.map((c) => (
+                  <button
+                    key={c}
+                    onClick={() => setEditor((e) => ({ ...e, toMove: c }))}
+                    className={cx(
+                      "px-3 py-1 rounded border",
+                      editor.toMove === c
+                        ? c === "R"
+                          ? "bg-rose-900/40 border-rose-500 text-rose-200"
+                          : "bg-sky-900/40 border-sky-500 text-sky-200"
+                        : "bg-slate-800/40 border-slate-700 hover:bg-slate-800/60"
+                    )}
+                  >
+                    {c === "R" ? "Red" : "Blue"}
+                  </button>
+                ))}
+              </div>
+              {editorWarnings.map((w) => (
+                <div
+                  key={w}
+                  className="mt-3 p-2 rounded bg-amber-900/40 border border-amber-700 text-amber-200 text-sm"
+                >
+                  {w}
+                </div>
+              ))}
+              <div className="mt-4 flex gap-2">
+                <button
+                  onClick={() => startFromEditor(false)}
+                  disabled={editorWarnings.length > 0}
+                  className="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-500 text-sm disabled:opacity-40"
+                >
+                  Play from here
+                </button>
+                <button
+                  onClick={() => startFromEditor(true)}
+                  disabled={editorWarnings.length > 0}
+                  className="px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-sm disabled:opacity-40"
+                >
+                  Analyse
+                </button>
+                <button
+                  onClick={() => setEditor(null)}
+                  className="ml-auto px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
           <div className="rounded-2xl bg-slate-900/70 border border-slate-700 p-4 shadow-xl">
             <h2 className="text-lg font-semibold mb-3">Controls</h2>
             <div className="text-sm text-slate-300 mb-2">
@@ -759,15 +2454,7 @@ export default function App() {
                   >
                     {humanColor === "R" ? "Blue" : "Red"}
                   </b>{" "}
-                  • Level:{" "}
-                  {
-                    {
-                      RANDOM: "Easy",
-                      GREEDY: "Medium",
-                      MINIMAX2: "Hard",
-                      MINIMAX3: "Very Hard",
-                    }[aiLevel]
-                  }
+                  • Level: {AI_LEVEL_NAMES[aiLevel]}
                 </span>
               )}
             </div>
@@ -829,13 +2516,41 @@ export default function App() {
               <div />
             </div>
 
+            {/* Typed move entry */}
+            <form onSubmit={submitMoveEntry} className="mb-3 flex gap-2">
+              <label htmlFor="move-entry" className="sr-only">
+                Move, as squares
+              </label>
+              <input
+                id="move-entry"
+                value={moveEntry}
+                onChange={(e) => setMoveEntry(e.target.value)}
+                placeholder="Move, e.g. D2 D3"
+                autoComplete="off"
+                aria-describedby={moveEntryMsg ? "move-entry-msg" : undefined}
+                className="flex-1 min-w-0 px-2 py-1 rounded bg-slate-800 border border-slate-700 text-sm font-mono"
+              />
+              <button
+                type="submit"
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              >
+                Play
+              </button>
+            </form>
+            {moveEntryMsg && (
+              <div
+                id="move-entry-msg"
+                className="-mt-2 mb-3 text-sm text-rose-300"
+              >
+                {moveEntryMsg}
+              </div>
+            )}
+
             {/* Selection info */}
             <div className="text-sm text-slate-300 space-y-1">
               <div>
                 <span className="inline-block w-24">Selected:</span>
-                {selected
-                  ? `${String.fromCharCode(65 + selected[1])}${8 - selected[0]}`
-                  : "—"}
+                {selected ? squareName(selected[0], selected[1], N) : "—"}
               </div>
               <div>
                 <span className="inline-block w-24">Owner:</span>
@@ -849,38 +2564,360 @@ export default function App() {
                         key={i}
                         className="mr-2 px-2 py-0.5 rounded bg-slate-800 border border-slate-700"
                       >
-                        {m.kind} → {String.fromCharCode(65 + m.dst[1])}
-                        {8 - m.dst[0]}
+                        {m.kind} → {squareName(m.dst[0], m.dst[1], N)}
                       </span>
                     ))
                   : "—"}
               </div>
             </div>
 
+            {mode === "ONLINE" && online && (
+              <>
+                <hr className="my-4 border-slate-700" />
+                <h3 className="font-semibold">Online</h3>
+                <div className="mt-1 text-sm text-slate-300 space-y-1">
+                  <div>
+                    <span className="inline-block w-24">Room:</span>
+                    <span className="font-mono">{online.room || "—"}</span>
+                    {online.status !== "open" && (
+                      <span className="ml-2 text-amber-300">
+                        {online.status}…
+                      </span>
+                    )}
+                  </div>
+                  <div>
+                    <span className="inline-block w-24">You:</span>
+                    {online.color
+                      ? online.color === "R"
+                        ? "Red"
+                        : "Blue"
+                      : "—"}
+                  </div>
+                  <div>
+                    <span className="inline-block w-24">Opponent:</span>
+                    {online.color &&
+                    online.players?.[online.color === "R" ? "B" : "R"]
+                      ? "connected"
+                      : "waiting…"}
+                  </div>
+                  {online.error && (
+                    <div className="text-rose-300">{online.error}</div>
+                  )}
+                </div>
+                <div className="mt-2 flex gap-2">
+                  {!status ? (
+                    <>
+                      <button
+                        onClick={() => sendOnline("resign")}
+                        disabled={!online.color}
+                        className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                      >
+                        Resign
+                      </button>
+                      <button
+                        onClick={() => sendOnline("draw")}
+                        disabled={
+                          !online.color || online.drawOffer === online.color
+                        }
+                        className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                      >
+                        {online.drawOffer === online.color
+                          ? "Draw offered…"
+                          : online.drawOffer
+                          ? "Accept draw"
+                          : "Offer draw"}
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => sendOnline("rematch")}
+                      disabled={online.rematch?.includes(online.color)}
+                      className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                    >
+                      {online.rematch?.includes(online.color)
+                        ? "Rematch offered…"
+                        : online.rematch?.length
+                        ? "Accept rematch"
+                        : "Offer rematch"}
+                    </button>
+                  )}
+                </div>
+              </>
+            )}
+
+            <hr className="my-4 border-slate-700" />
+            <h3 className="font-semibold">Highlights</h3>
+            <div className="mt-1 text-sm text-slate-300 space-y-1">
+              {OVERLAYS.map((o) => (
+                <label key={o.id} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={shownOverlays[o.id]}
+                    onChange={(e) =>
+                      setShownOverlays((v) => ({
+                        ...v,
+                        [o.id]: e.target.checked,
+                      }))
+                    }
+                  />
+                  <span
+                    className={cx(
+                      "inline-block w-3 h-3 rounded-sm",
+                      OVERLAY_SWATCH[o.id]
+                    )}
+                  />
+                  {o.name}
+                </label>
+              ))}
+              <div className="text-xs text-slate-400">
+                Threats and near-goal towers are those of the side not to move.
+              </div>
+            </div>
+
+            <hr className="my-4 border-slate-700" />
+            <div className="flex items-center">
+              <h3 className="font-semibold">Analysis</h3>
+              <button
+                onClick={() => setShowAnalysis((v) => !v)}
+                disabled={!assistEnabled}
+                className="ml-auto px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              >
+                {showAnalysis ? "Hide" : "Show"}
+              </button>
+            </div>
+            {!assistEnabled && (
+              <div className="mt-1 text-sm text-slate-400">
+                Hints and analysis are off in games against the computer or
+                online. Turn them on in New game setup.
+              </div>
+            )}
+            {assistEnabled && showAnalysis && (
+              <div className="mt-2 text-sm">
+                {status ? (
+                  <div className="text-slate-400">Game over.</div>
+                ) : aiTurn ? (
+                  <div className="text-slate-400">
+                    Waiting for the computer…
+                  </div>
+                ) : !shownAnalysis?.result ? (
+                  <div className="text-slate-400 animate-pulse">
+                    analysing…
+                    {shownAnalysis?.depth > 0 &&
+                      ` depth ${shownAnalysis.depth}`}
+                  </div>
+                ) : (
+                  <>
+                    <div className="h-3 rounded-full overflow-hidden bg-sky-500">
+                      <div
+                        className="h-full bg-rose-500 transition-all"
+                        style={{
+                          width: `${redShare(shownAnalysis.result.score)}%`,
+                        }}
+                      />
+                    </div>
+                    <div className="mt-1 flex justify-between text-xs text-slate-400">
+                      <span className="text-rose-300">Red</span>
+                      <span>
+                        {scoreText(shownAnalysis.result.score)} · depth{" "}
+                        {shownAnalysis.result.depth}
+                      </span>
+                      <span className="text-sky-300">Blue</span>
+                    </div>
+                    <ol className="mt-2 space-y-1">
+                      {shownAnalysis.result.lines.map(({ move, score }, i) => (
+                        <li key={i} className="flex gap-2">
+                          <span className="text-slate-500">{i + 1}.</span>
+                          <span className="font-mono">
+                            {moveToText(move, N)}
+                          </span>
+                          <span className="ml-auto text-slate-400">
+                            {scoreText(score)}
+                          </span>
+                        </li>
+                      ))}
+                    </ol>
+                  </>
+                )}
+              </div>
+            )}
+
+            <hr className="my-4 border-slate-700" />
+            <h3 className="font-semibold">Moves</h3>
+            <div className="mt-2 max-h-48 overflow-y-auto text-sm">
+              <button
+                onClick={() => jumpTo(0)}
+                className={cx(
+                  "px-2 py-0.5 rounded hover:bg-slate-700",
+                  line.ply === 0 && "bg-slate-700 text-white"
+                )}
+              >
+                Start
+              </button>
+              <div className="grid grid-cols-[2.5rem_1fr_1fr] gap-x-1">
+                {line.snapshots.map((_, ply) =>
+                  ply % 2 === 1 ? (
+                    <React.Fragment key={ply}>
+                      <span className="text-slate-500 py-0.5">
+                        {(ply + 1) / 2}.
+                      </span>
+                      {[ply, ply + 1].map((p) =>
+                        p < line.snapshots.length ? (
+                          <button
+                            key={p}
+                            onClick={() => jumpTo(p)}
+                            className={cx(
+                              "px-2 py-0.5 rounded text-left font-mono hover:bg-slate-700",
+                              p === line.ply && "bg-slate-700 text-white",
+                              p > line.ply && "text-slate-500"
+                            )}
+                          >
+                            {moveToText(line.snapshots[p].move, N)}
+                          </button>
+                        ) : (
+                          <span key={p} />
+                        )
+                      )}
+                    </React.Fragment>
+                  ) : null
+                )}
+              </div>
+            </div>
+
+            <hr className="my-4 border-slate-700" />
+            <h3 className="font-semibold">Game Record</h3>
+            <div className="mt-2 flex gap-2">
+              <button
+                onClick={exportRecord}
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              >
+                Export
+              </button>
+              <button
+                onClick={() => importInput.current?.click()}
+                disabled={mode === "ONLINE"}
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+              >
+                Import
+              </button>
+              <button
+                onClick={copyPositionLink}
+                className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm"
+              >
+                Copy position link
+              </button>
+              <input
+                ref={importInput}
+                type="file"
+                accept=".txt,text/plain"
+                className="hidden"
+                onChange={onImportFile}
+              />
+            </div>
+            {(mode === "HUMAN" || mode === "AI") && (
+              <form onSubmit={saveToSlot} className="mt-2 flex gap-2">
+                <label htmlFor="save-name" className="sr-only">
+                  Save name
+                </label>
+                <input
+                  id="save-name"
+                  value={slotName}
+                  onChange={(e) => setSlotName(e.target.value)}
+                  placeholder="Save as…"
+                  maxLength={40}
+                  className="flex-1 min-w-0 px-2 py-1 rounded bg-slate-800 border border-slate-700 text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!slotName.trim()}
+                  className="px-3 py-1 rounded bg-slate-800 hover:bg-slate-700 text-sm disabled:opacity-40"
+                >
+                  Save
+                </button>
+              </form>
+            )}
+            {recordMsg && (
+              <div
+                className={cx(
+                  "mt-2 text-sm",
+                  recordMsg.ok ? "text-slate-400" : "text-rose-300"
+                )}
+              >
+                {recordMsg.text}
+              </div>
+            )}
+
             <hr className="my-4 border-slate-700" />
             <h3 className="font-semibold">Rule Reminders</h3>
+            <div className="text-sm text-slate-400">
+              {rulesName(rules)} · {N}×{N}
+            </div>
             <ul className="mt-1 text-sm text-slate-300 list-disc pl-5 space-y-1">
               <li>
-                <b>Across</b>: own colour, equal height only.
+                <b>Across</b>: own colour, equal height
+                {rules.climb ? "." : " only."}
+              </li>
+              {rules.climb && (
+                <li>
+                  <b>Climb</b>: own colour, exactly 1 higher.
+                </li>
+              )}
+              <li>
+                <b>Step-Down</b>: own colour or empty, −1
+                {rules.stepDownMax > 1 && ` to −${rules.stepDownMax}`} (backward
+                allowed).
               </li>
               <li>
-                <b>Step-Down</b>: any/empty, −1 or −2 only (backward allowed).
+                <b>Cross</b>: opponent only, strictly taller by{" "}
+                {span(rules.crossMin, rules.crossMax)}.
               </li>
               <li>
-                <b>Cross</b>: opponent only, strictly taller by 1–2.
+                <b>Backward</b>: step-down or Cross only (no across/climb).
               </li>
               <li>
-                <b>Backward</b>: step-down only (no across/climb).
+                <b>Win</b>: Crossing, Lockout, or {rules.repetitionLimit} A↔B
+                pairs with the same piece (Repetition).
               </li>
               <li>
-                <b>Win</b>: Crossing, Lockout, or 3 A↔B pairs with the same
-                piece (Repetition).
+                <b>Draw</b>: by agreement
+                {rules.drawRepeats > 0 &&
+                  `, the same position ${rules.drawRepeats} times`}
+                {rules.moveLimit > 0 &&
+                  `, ${rules.moveLimit} plies without a Cross or a new tallest stack`}
+                .
               </li>
             </ul>
           </div>
         </div>
       </div>
 
+      {/* Keyboard help overlay */}
+      {showKeys && (
+        <div
+          className="fixed inset-0 z-[70] flex items-center justify-center"
+          onClick={() => setShowKeys(false)}
+        >
+          <div className="absolute inset-0 bg-black/60 backdrop-blur-sm" />
+          <div className="relative z-10 w-[min(92vw,480px)] rounded-3xl border border-slate-700 bg-slate-900/95 p-8 shadow-2xl">
+            <h2 className="text-xl font-bold mb-4">Keyboard</h2>
+            <table className="w-full text-sm">
+              <tbody>
+                {SHORTCUTS.map(([keys, what]) => (
+                  <tr key={keys}>
+                    <td className="py-1 pr-4 font-mono text-slate-200 whitespace-nowrap">
+                      {keys}
+                    </td>
+                    <td className="py-1 text-slate-300">{what}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-4 text-xs text-slate-400">
+              Click anywhere or press Esc to close.
+            </p>
+          </div>
+        </div>
+      )}
+
       {/* Setup overlay */}
       {showSetup && (
         <div className="fixed inset-0 z-[60] flex items-center justify-center">
@@ -912,6 +2949,16 @@ export default function App() {
                   >
                     Human vs Computer
                   </button>
+                  <button
+                    className={cx(
+                      "px-3 py-2 rounded border",
+                      "bg-slate-800 border-slate-700 hover:bg-slate-800/60",
+                      setupMode === "ONLINE" && "border-slate-500"
+                    )}
+                    onClick={() => setSetupMode("ONLINE")}
+                  >
+                    Play online
+                  </button>
                 </div>
               </div>
 
@@ -954,45 +3001,281 @@ export default function App() {
                   Computer difficulty
                 </label>
                 <div className="flex flex-wrap gap-2">
-                  {[
-                    { id: "EASY", name: "Easy" },
-                    { id: "MEDIUM", name: "Medium" },
-                    { id: "HARD", name: "Hard" },
-                    { id: "VERY_HARD", name: "Very Hard" },
-                  ].map((opt) => (
+                  {Object.entries(AI_LEVEL_NAMES).map(([id, name]) => (
                     <button
-                      key={opt.id}
+                      key={id}
                       disabled={setupMode !== "AI"}
                       className={cx(
                         "px-3 py-2 rounded border",
-                        setupAiLevel === opt.id
+                        setupAiLevel === id
                           ? "bg-slate-800 border-slate-500"
                           : "bg-slate-800/40 border-slate-700 hover:bg-slate-800/60",
                         setupMode !== "AI" && "opacity-40 cursor-not-allowed"
                       )}
-                      onClick={() => setSetupAiLevel(opt.id)}
+                      onClick={() => setSetupAiLevel(id)}
+                    >
+                      {name}
+                    </button>
+                  ))}
+                </div>
+                <label
+                  className={cx(
+                    "flex items-center gap-2 text-sm text-slate-300",
+                    setupMode === "HUMAN" && "opacity-40"
+                  )}
+                >
+                  <input
+                    type="checkbox"
+                    checked={setupAllowAssist}
+                    disabled={setupMode === "HUMAN"}
+                    onChange={(e) => setSetupAllowAssist(e.target.checked)}
+                  />
+                  Allow hints and analysis in this game
+                </label>
+              </div>
+
+              <div className="space-y-3 sm:col-span-2">
+                <label className="block text-sm text-slate-300">
+                  Time control
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {TIME_CONTROLS.map((opt) => (
+                    <button
+                      key={opt.type}
+                      disabled={setupMode === "ONLINE"}
+                      className={cx(
+                        "px-3 py-2 rounded border",
+                        setupTime.type === opt.type
+                          ? "bg-slate-800 border-slate-500"
+                          : "bg-slate-800/40 border-slate-700 hover:bg-slate-800/60",
+                        setupMode === "ONLINE" &&
+                          "opacity-40 cursor-not-allowed"
+                      )}
+                      onClick={() =>
+                        setSetupTime((t) => ({ ...t, type: opt.type }))
+                      }
                     >
                       {opt.name}
                     </button>
                   ))}
                 </div>
+                {setupMode !== "ONLINE" && (
+                  <div className="flex flex-wrap gap-3">
+                    {TIME_CONTROLS.find(
+                      (opt) => opt.type === setupTime.type
+                    ).fields.map((field) => (
+                      <label key={field} className="text-sm text-slate-300">
+                        {TIME_FIELDS[field]}
+                        <input
+                          type="number"
+                          min={
+                            field === "baseMin" || field === "incSec" ? 0 : 1
+                          }
+                          step={field === "baseMin" ? 0.5 : 1}
+                          value={setupTime[field]}
+                          onChange={(e) => {
+                            const v = Number(e.target.value);
+                            if (Number.isFinite(v) && v >= 0)
+                              setSetupTime((t) => ({ ...t, [field]: v }));
+                          }}
+                          className="ml-2 w-20 px-2 py-1 rounded bg-slate-800 border border-slate-700"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-3 sm:col-span-2">
+                <label className="block text-sm text-slate-300">Rules</label>
+                <div className="flex flex-wrap gap-2">
+                  {RULE_PRESETS.map((p) => (
+                    <button
+                      key={p.id}
+                      disabled={!!startPos}
+                      className={cx(
+                        "px-3 py-2 rounded border",
+                        sameRules(p.rules, setupRules)
+                          ? "bg-slate-800 border-slate-500"
+                          : "bg-slate-800/40 border-slate-700 hover:bg-slate-800/60",
+                        startPos && "opacity-40 cursor-not-allowed"
+                      )}
+                      onClick={() => setSetupRules(p.rules)}
+                    >
+                      {p.name}
+                    </button>
+                  ))}
+                </div>
+                {startPos ? (
+                  <div className="text-sm text-slate-400">
+                    The starting position below brings its own rules (
+                    {rulesName(startPos.rules)}).
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap gap-3 text-sm text-slate-300">
+                    {RULE_FIELDS.map(({ key, name, options, label }) => (
+                      <label key={key}>
+                        {name}
+                        <select
+                          value={setupRules[key]}
+                          onChange={(e) =>
+                            setSetupRules((r) => ({
+                              ...r,
+                              [key]: Number(e.target.value),
+                            }))
+                          }
+                          className="ml-2 px-2 py-1 rounded bg-slate-800 border border-slate-700"
+                        >
+                          {options.map((v) => (
+                            <option key={v} value={v}>
+                              {label ? label(v) : v}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={setupRules.climb}
+                        onChange={(e) =>
+                          setSetupRules((r) => ({
+                            ...r,
+                            climb: e.target.checked,
+                          }))
+                        }
+                      />
+                      +1 climb onto own colour
+                    </label>
+                  </div>
+                )}
+                {setupRulesError && !startPos && (
+                  <div className="text-sm text-rose-300">
+                    {setupRulesError}.
+                  </div>
+                )}
               </div>
+
+              {setupMode === "ONLINE" && (
+                <div className="space-y-3 sm:col-span-2">
+                  <label className="block text-sm text-slate-300">
+                    Server
+                    <input
+                      value={setupServer}
+                      onChange={(e) => setSetupServer(e.target.value)}
+                      className="mt-1 w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 font-mono"
+                    />
+                  </label>
+                  <label className="block text-sm text-slate-300">
+                    Room code (leave blank to create a new room)
+                    <input
+                      value={setupRoom}
+                      onChange={(e) => setSetupRoom(e.target.value)}
+                      placeholder="e.g. K7QXM"
+                      className="mt-1 w-full px-3 py-2 rounded bg-slate-800 border border-slate-700 font-mono uppercase"
+                    />
+                  </label>
+                  {lastSeat && (
+                    <button
+                      onClick={() =>
+                        goOnline(lastSeat.url, {
+                          type: "resume",
+                          room: lastSeat.room,
+                          token: lastSeat.token,
+                        })
+                      }
+                      className="px-3 py-2 rounded border bg-slate-800 border-slate-700 hover:bg-slate-800/60 text-sm"
+                    >
+                      Rejoin room {lastSeat.room}
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
 
+            {linked.error && (
+              <div className="mt-4 p-2 rounded bg-rose-900/40 border border-rose-700 text-rose-200 text-sm">
+                Position link ignored: {linked.error}.
+              </div>
+            )}
+            {startPos && (
+              <div className="mt-4 p-2 rounded bg-slate-800/60 border border-slate-700 text-slate-300 text-sm flex items-center gap-3">
+                <span>
+                  Starting from a linked position (
+                  {startPos.toMove === "R" ? "Red" : "Blue"} to move).
+                </span>
+                <button
+                  onClick={() => setStartPos(null)}
+                  className="ml-auto px-3 py-1 rounded bg-slate-700 hover:bg-slate-600"
+                >
+                  Use standard start
+                </button>
+              </div>
+            )}
+
+            {slots.length > 0 && (
+              <div className="mt-4">
+                <label className="block text-sm text-slate-300 mb-1">
+                  Saved games
+                </label>
+                <ul className="max-h-40 overflow-y-auto space-y-1 text-sm">
+                  {slots.map(({ name, data }) => (
+                    <li
+                      key={name}
+                      className="flex items-center gap-2 p-2 rounded bg-slate-800/60 border border-slate-700"
+                    >
+                      <span className="font-medium truncate">{name}</span>
+                      <span className="text-slate-400 truncate">
+                        {describeSave(data)}
+                      </span>
+                      <button
+                        onClick={() => resumeSlot(name, data)}
+                        className="ml-auto px-3 py-1 rounded bg-slate-700 hover:bg-slate-600"
+                      >
+                        Resume
+                      </button>
+                      <button
+                        onClick={() => deleteSave(name)}
+                        className="px-3 py-1 rounded bg-slate-700 hover:bg-rose-800"
+                      >
+                        Delete
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                {slotError && (
+                  <div className="mt-1 text-sm text-rose-300">{slotError}</div>
+                )}
+              </div>
+            )}
+
             <div className="mt-6 flex gap-3 justify-end">
+              <button
+                onClick={() => openPuzzles()}
+                className="px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 border border-slate-700 font-medium"
+              >
+                Puzzles
+              </button>
               <button
                 onClick={startGameFromSetup}
-                className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-medium"
+                disabled={!!setupRulesError && !startPos}
+                className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 text-white font-medium disabled:opacity-50"
               >
-                Start game
+                {setupMode !== "ONLINE"
+                  ? "Start game"
+                  : setupRoom.trim()
+                  ? "Join room"
+                  : "Create room"}
               </button>
             </div>
 
             <p className="mt-3 text-slate-400 text-sm">
               Red moves first. In Human vs Computer, the computer plays the
-              opposite colour you choose. Repetition rule: if you bounce the
-              same piece back and forth A↔B three times (3 pairs) across your
-              turns, you lose immediately.
+              opposite colour you choose. Online games need the relay server
+              (node server/relay.js) running on this machine or the LAN; the
+              server assigns colours. Repetition rule: if you bounce the same
+              piece back and forth A↔B as many times as the rules allow (3 pairs
+              in the standard game) across your turns, you lose immediately.
             </p>
           </div>
         </div>
@@ -1,9 +1,9 @@
 // src/ThreeBoard.jsx
-import React, { useMemo } from "react";
-import { Canvas } from "@react-three/fiber";
-import { OrbitControls, Stars } from "@react-three/drei";
-
-const N = 8;
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import { Html, OrbitControls, Stars } from "@react-three/drei";
+import { squareLabel, useCursorFocus } from "./a11y.js";
+import { KIND_NAMES } from "./notation.js";
 
 // Colors
 const RED = "#ef4444";
@@ -12,29 +12,46 @@ const TILE_DARK = "#1f2937";
 const TILE_LIGHT = "#334155";
 const FRAME = "#c8a57a";
 const LEGAL = "#a3e635";
+const SELECTED = "#fbbf24";
+const HINT = "#c084fc";
+const LAST = "#d6d3d1";
+const THREAT = "#fb7185";
+const DANGER = "#fdba74";
+const CURSOR = "#67e8f9";
 
 // size
 const TILE = 1;
 const GAP = 0.04;
 const BLOCK_H = 0.22;
 const TILE_THICK = 0.06;
+const TOWER_Y = 0.11 + TILE_THICK; // base of the stacks above the frame
+
+// How long a move takes to animate; "off" jumps straight to the new board
+export const ANIMATION_SPEEDS = [
+  { id: "off", name: "Off", seconds: 0 },
+  { id: "fast", name: "Fast", seconds: 0.25 },
+  { id: "normal", name: "Normal", seconds: 0.5 },
+  { id: "slow", name: "Slow", seconds: 0.9 },
+];
+export const animationSeconds = (id) =>
+  ANIMATION_SPEEDS.find((s) => s.id === id)?.seconds ?? 0;
 
-function Tile({ x, z, dark, selected, onClick }) {
+function Tile({ x, z, dark, mark, pointer }) {
   return (
     <mesh
       position={[x, TILE_THICK / 2, z]}
-      onPointerDown={onClick}
+      {...pointer}
       castShadow={false}
       receiveShadow
     >
       <boxGeometry args={[TILE - GAP, TILE_THICK, TILE - GAP]} />
       <meshStandardMaterial color={dark ? TILE_DARK : TILE_LIGHT} />
-      {selected && (
+      {mark && (
         <mesh position={[0, 0.01, 0]}>
           <boxGeometry args={[TILE - GAP, 0.002, TILE - GAP]} />
           <meshStandardMaterial
-            color="#fbbf24"
-            emissive="#fbbf24"
+            color={mark}
+            emissive={mark}
             emissiveIntensity={0.7}
           />
         </mesh>
@@ -43,15 +60,17 @@ function Tile({ x, z, dark, selected, onClick }) {
   );
 }
 
-function Tower({ x, z, stack, onClick }) {
+function Tower({ x, z, stack, hideTop, pointer }) {
   if (!stack.length) return null;
+  // The top block is hidden while its move is still flying in
+  const shown = hideTop ? stack.slice(0, -1) : stack;
   return (
     <group position={[x, TILE_THICK, z]}>
-      {stack.map((blk, idx) => (
+      {shown.map((blk, idx) => (
         <mesh
           key={idx}
           position={[0, BLOCK_H * idx + BLOCK_H / 2, 0]}
-          onPointerDown={onClick}
+          {...pointer}
           castShadow
           receiveShadow
         >
@@ -67,12 +86,212 @@ function Tower({ x, z, stack, onClick }) {
   );
 }
 
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+/**
+ * The block of the last move, flying from its source stack to the top of its
+ * destination. A plain move glides along a low arc; a Cross hops high, flips
+ * over and slams down onto the enemy block.
+ */
+function FlyingBlock({ from, to, color, cross, seconds, onDone }) {
+  const ref = useRef();
+  const start = useRef(null);
+  useFrame(({ clock }) => {
+    if (start.current === null) start.current = clock.elapsedTime;
+    const t = Math.min(1, (clock.elapsedTime - start.current) / seconds);
+    const e = easeInOut(t);
+    const lerp = (a, b, k) => a + (b - a) * k;
+    const mesh = ref.current;
+    if (cross) {
+      // Rise fast, then fall with gravity onto the target
+      const y = lerp(from[1], to[1], t) + 1.4 * Math.sin(Math.PI * t ** 0.7);
+      mesh.position.set(lerp(from[0], to[0], e), y, lerp(from[2], to[2], e));
+      mesh.rotation.x = Math.PI * e;
+      // Squash on impact
+      const squash =
+        t > 0.85 ? 1 - 0.35 * Math.sin(((t - 0.85) / 0.15) * Math.PI) : 1;
+      mesh.scale.set(1 + (1 - squash) / 2, squash, 1 + (1 - squash) / 2);
+    } else {
+      const y = lerp(from[1], to[1], e) + 0.6 * 4 * e * (1 - e);
+      mesh.position.set(lerp(from[0], to[0], e), y, lerp(from[2], to[2], e));
+    }
+    if (t >= 1) onDone();
+  });
+  return (
+    <mesh ref={ref} position={from} castShadow>
+      <boxGeometry args={[0.86, BLOCK_H, 0.86]} />
+      <meshStandardMaterial
+        color={color === "R" ? RED : BLUE}
+        roughness={0.35}
+        metalness={0.05}
+      />
+    </mesh>
+  );
+}
+
+const SPARKS = 12;
+
+/** Looping ring and spark fountain over the block that won by Crossing. */
+function Celebration({ x, y, z, color }) {
+  const ring = useRef();
+  const sparks = useRef();
+  const hex = color === "R" ? RED : BLUE;
+  useFrame(({ clock }) => {
+    const t = (clock.elapsedTime % 1.4) / 1.4;
+    ring.current.scale.setScalar(0.7 + 1.3 * t);
+    ring.current.material.opacity = 1 - t;
+    sparks.current.rotation.y = clock.elapsedTime * 0.8;
+    sparks.current.children.forEach((spark, i) => {
+      const a = (i / SPARKS) * Math.PI * 2;
+      const k = (t + (i % 3) / 3) % 1; // stagger the sparks
+      const rad = 0.2 + 0.6 * k;
+      spark.position.set(
+        Math.cos(a) * rad,
+        1.6 * k - 1.5 * k * k,
+        Math.sin(a) * rad
+      );
+      spark.scale.setScalar(1 - k);
+    });
+  });
+  return (
+    <group position={[x, y, z]}>
+      <mesh ref={ring} rotation={[Math.PI / 2, 0, 0]}>
+        <torusGeometry args={[0.5, 0.03, 12, 48]} />
+        <meshStandardMaterial
+          color={SELECTED}
+          emissive={SELECTED}
+          emissiveIntensity={0.9}
+          transparent
+        />
+      </mesh>
+      <group ref={sparks}>
+        {Array.from({ length: SPARKS }, (_, i) => (
+          <mesh key={i}>
+            <boxGeometry args={[0.07, 0.07, 0.07]} />
+            <meshStandardMaterial
+              color={i % 2 ? SELECTED : hex}
+              emissive={i % 2 ? SELECTED : hex}
+              emissiveIntensity={0.8}
+            />
+          </mesh>
+        ))}
+      </group>
+    </group>
+  );
+}
+
+/** Red ring on top of a tower the opponent can Cross onto. */
+function ThreatRing({ x, z, h }) {
+  return (
+    <mesh
+      position={[x, TOWER_Y + h * BLOCK_H + 0.01, z]}
+      rotation={[Math.PI / 2, 0, 0]}
+    >
+      <torusGeometry args={[0.36, 0.035, 10, 40]} />
+      <meshStandardMaterial
+        color={THREAT}
+        emissive={THREAT}
+        emissiveIntensity={0.7}
+      />
+    </mesh>
+  );
+}
+
+/** Bobbing arrow over an opponent tower one row short of its goal. */
+function DangerMarker({ x, z, h }) {
+  const ref = useRef();
+  const y = TOWER_Y + h * BLOCK_H + 0.45;
+  useFrame(({ clock }) => {
+    ref.current.position.y = y + 0.06 * Math.sin(clock.elapsedTime * 3);
+  });
+  return (
+    <mesh ref={ref} position={[x, y, z]} rotation={[Math.PI, 0, 0]}>
+      <coneGeometry args={[0.12, 0.26, 16]} />
+      <meshStandardMaterial
+        color={DANGER}
+        emissive={DANGER}
+        emissiveIntensity={0.6}
+      />
+    </mesh>
+  );
+}
+
+/** Keyboard cursor: a bright frame round the edge of a tile. */
+function CursorFrame({ x, z }) {
+  const y = TOWER_Y + 0.02;
+  const len = TILE - GAP;
+  const w = 0.05;
+  const sides = [
+    [0, -(len - w) / 2, len, w],
+    [0, (len - w) / 2, len, w],
+    [-(len - w) / 2, 0, w, len],
+    [(len - w) / 2, 0, w, len],
+  ];
+  return (
+    <group position={[x, y, z]}>
+      {sides.map(([dx, dz, sx, sz], i) => (
+        <mesh key={i} position={[dx, 0, dz]}>
+          <boxGeometry args={[sx, 0.02, sz]} />
+          <meshStandardMaterial
+            color={CURSOR}
+            emissive={CURSOR}
+            emissiveIntensity={0.8}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+}
+
+/** True if `move` is what turned `before` into `after` (a move just played). */
+function justPlayed(before, after, move) {
+  if (!before || !move || before.length !== after.length) return false;
+  const [[sr, sc], [dr, dc]] = [move.src, move.dst];
+  return (
+    before[sr][sc].length === after[sr][sc].length + 1 &&
+    before[dr][dc].length === after[dr][dc].length - 1 &&
+    before[sr][sc].at(-1) === after[dr][dc].at(-1)
+  );
+}
+
+/**
+ * Block being dragged, hovering over the square under the pointer, with the
+ * kind of move a drop there would make.
+ */
+function DragGhost({ x, y, z, color, label, legal }) {
+  return (
+    <group position={[x, y, z]}>
+      <mesh>
+        <boxGeometry args={[0.86, BLOCK_H, 0.86]} />
+        <meshStandardMaterial
+          color={color === "R" ? RED : BLUE}
+          transparent
+          opacity={legal ? 0.9 : 0.45}
+        />
+      </mesh>
+      {label && (
+        <Html center position={[0, 0.4, 0]} style={{ pointerEvents: "none" }}>
+          <div
+            className={
+              legal
+                ? "px-2 py-0.5 rounded bg-lime-300 text-slate-900 text-xs font-semibold whitespace-nowrap"
+                : "px-2 py-0.5 rounded bg-slate-800 text-slate-300 text-xs whitespace-nowrap"
+            }
+          >
+            {label}
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
+
 /** Standalone legal marker so it appears on empty tiles too */
-function LegalDot({ x, z, h, onClick }) {
+function LegalDot({ x, z, h, pointer }) {
   // y = top of tile + height of stack + little offset
   const y = TILE_THICK + h * BLOCK_H + 0.14;
   return (
-    <mesh position={[x, y, z]} onPointerDown={onClick}>
+    <mesh position={[x, y, z]} {...pointer}>
       <sphereGeometry args={[0.12, 24, 24]} />
       <meshStandardMaterial
         color={LEGAL}
@@ -90,15 +309,115 @@ function LegalDot({ x, z, h, onClick }) {
  *  - flipped: boolean
  *  - selected: [r,c] | null
  *  - selectedMoves: [{src:[r,c], dst:[r,c], kind:string}]
+ *  - hint: {src:[r,c], dst:[r,c]} | null — suggested move to highlight
+ *  - lastMove: {src:[r,c], dst:[r,c], kind:string} | null — the move that
+ *    produced `board`; animated when it has just been played
+ *  - overlays: { lastMove, threats, danger } — Sets of sqKeys to mark
+ *    (see overlays.js)
+ *  - cursor: [r,c] | null — keyboard cursor
+ *  - speed: ANIMATION_SPEEDS id
+ *  - crossing: 'R' | 'B' | null — Crossing winner to celebrate
  *  - onCellClick: (r,c)=>void
+ *  - onCellFocus: (r,c)=>void — a square of the screen-reader grid got focus
+ *  - canDrag: (r,c)=>boolean — whether the top block of (r,c) may be dragged
+ *  - onDragStart: (r,c)=>void — a drag left its square (select the tower)
+ *  - onDrop: (from,to)=>boolean — play the move; false if it is not legal
+ *
+ * The canvas is hidden from screen readers; a visually hidden ARIA grid of
+ * the same squares stands in for it.
  */
 export default function ThreeBoard({
   board,
   flipped = false,
   selected,
   selectedMoves = [],
+  hint = null,
+  lastMove = null,
+  overlays = null,
+  cursor = null,
+  speed = "normal",
+  crossing = null,
   onCellClick,
+  onCellFocus,
+  canDrag,
+  onDragStart,
+  onDrop,
 }) {
+  const gridRef = useRef(null);
+  useCursorFocus(gridRef, cursor);
+
+  // Animation of the last move. Derived from the board it belongs to, so a
+  // new board (the next move, undo, reset...) drops a running animation and
+  // the towers always show `board` as it is.
+  const seconds = animationSeconds(speed);
+  const droppedFrom = useRef(null); // board a drag-and-drop move was made on
+  const [anim, setAnim] = useState({ id: 0, board, move: null });
+  if (anim.board !== board) {
+    // A dropped block is already where it lands
+    const fresh =
+      seconds > 0 &&
+      anim.board !== droppedFrom.current &&
+      justPlayed(anim.board, board, lastMove);
+    setAnim({ id: anim.id + 1, board, move: fresh ? lastMove : null });
+  }
+  const flying = anim.board === board ? anim.move : null;
+  const landed = () =>
+    setAnim((a) => (a.board === board ? { ...a, move: null } : a));
+
+  // Drag and drop. A press on a draggable tower starts a drag, which stays a
+  // click until the pointer reaches another square. The handlers read
+  // `dragRef` as events can arrive before a re-render; `drag` is for drawing.
+  const controls = useRef(null);
+  const dragRef = useRef(null); // { from, over, moved }
+  const [drag, setDrag] = useState(null);
+  const setDragState = (d) => {
+    dragRef.current = d;
+    setDrag(d);
+    // Set on the controls directly, before they see the same press
+    if (controls.current) controls.current.enabled = !d;
+  };
+  function endDrag(sq) {
+    const d = dragRef.current;
+    if (!d) return;
+    setDragState(null);
+    if (!d.moved) {
+      if (sq) onCellClick?.(...d.from);
+    } else if (sq && !onSquare(d.from, ...sq) && onDrop?.(d.from, sq)) {
+      droppedFrom.current = board;
+    }
+  }
+  const pointerFor = (r, c) => ({
+    onPointerDown: (e) => {
+      e.stopPropagation(); // nearest hit only
+      if (e.button !== 0) return;
+      if (canDrag?.(r, c))
+        setDragState({ from: [r, c], over: [r, c], moved: false });
+      else onCellClick?.(r, c);
+    },
+    onPointerMove: (e) => {
+      const d = dragRef.current;
+      if (!d) return;
+      e.stopPropagation();
+      if (onSquare(d.over, r, c)) return;
+      if (!d.moved) onDragStart?.(...d.from);
+      setDragState({ ...d, over: [r, c], moved: true });
+    },
+    onPointerUp: (e) => {
+      if (!dragRef.current) return;
+      e.stopPropagation();
+      endDrag([r, c]);
+    },
+  });
+  // Released off the board: drop nowhere
+  const dragEnder = useRef(endDrag);
+  dragEnder.current = endDrag;
+  useEffect(() => {
+    if (!drag) return;
+    const up = () => dragEnder.current(null);
+    window.addEventListener("pointerup", up);
+    return () => window.removeEventListener("pointerup", up);
+  }, [drag]);
+
   // For quick lookup of legal destinations
   const legalSet = useMemo(() => {
     const s = new Set();
@@ -106,26 +425,90 @@ export default function ThreeBoard({
     return s;
   }, [selectedMoves]);
 
+  // Board size follows the board (rule sets allow 6×6, 10×10, ...)
+  const N = board.length;
+  const zoom = N / 8;
+
+  const onSquare = (sq, r, c) => sq && sq[0] === r && sq[1] === c;
+  // world position of a board square (the board is centered at the origin)
+  const world = ([r, c]) => {
+    const vr = flipped ? N - 1 - r : r;
+    const vc = flipped ? N - 1 - c : c;
+    return [vc - (N - 1) / 2, vr - (N - 1) / 2];
+  };
+  // Top of a stack of height h, at block index h - 1
+  const blockY = (h) => TOWER_Y + BLOCK_H * (h - 1) + BLOCK_H / 2;
+
+  // Flight path of the last move's block, from where it sat on its source
+  // stack to the top of its destination
+  let flight = null;
+  if (flying) {
+    const [[sr, sc], [dr, dc]] = [flying.src, flying.dst];
+    const [sx, sz] = world(flying.src);
+    const [dx, dz] = world(flying.dst);
+    flight = {
+      from: [sx, blockY(board[sr][sc].length + 1), sz],
+      to: [dx, blockY(board[dr][dc].length), dz],
+    };
+  }
+
+  // The block that won by Crossing: on the winner's goal row, preferably one
+  // of the squares the last move touched
+  let winSquare = null;
+  if (crossing) {
+    const goal = crossing === "R" ? N - 1 : 0;
+    const tops = (r, c) => r === goal && board[r][c].at(-1) === crossing;
+    winSquare =
+      [lastMove?.dst, lastMove?.src].find((sq) => sq && tops(...sq)) ||
+      board[goal].map((_, c) => [goal, c]).find((sq) => tops(...sq)) ||
+      null;
+  }
+
+  // Ghost of the dragged block over the square under the pointer
+  let ghost = null;
+  if (drag?.moved) {
+    const [fr, fc] = drag.from;
+    const [or, oc] = drag.over;
+    const [x, z] = world(drag.over);
+    const here = onSquare(drag.from, or, oc);
+    const move = selectedMoves.find((m) => onSquare(m.dst, or, oc));
+    ghost = {
+      x,
+      z,
+      y: blockY(board[or][oc].length + (here ? 0 : 1)) + 0.3,
+      color: board[fr][fc].at(-1),
+      legal: !!move,
+      label: here ? null : move ? KIND_NAMES[move.kind] : "Not legal",
+    };
+  }
+
   const tiles = [];
   const towers = [];
   const markers = [];
+  const rows = []; // screen-reader grid, in view order
 
   for (let vr = 0; vr < N; vr++) {
+    const cells = [];
     for (let vc = 0; vc < N; vc++) {
       // map view -> board coordinates
       const r = flipped ? N - 1 - vr : vr;
       const c = flipped ? N - 1 - vc : vc;
 
-      // world position (center the 8×8 at origin)
+      // world position (center the board at origin)
       const x = vc - (N - 1) / 2;
       const z = vr - (N - 1) / 2;
 
       const dark = (vr + vc) % 2 === 0;
       const isSel = selected && selected[0] === r && selected[1] === c;
-      const isLegal = legalSet.has(`${r},${c}`);
+      const key = `${r},${c}`;
+      const isLegal = legalSet.has(key);
+      const isHint =
+        hint && [hint.src, hint.dst].some(([hr, hc]) => hr === r && hc === c);
+      const isLast = overlays?.lastMove.has(key);
 
       const stack = board[r][c];
       const h = stack.length;
+      const pointer = pointerFor(r, c);
 
       tiles.push(
         <Tile
@@ -133,8 +516,8 @@ export default function ThreeBoard({
           x={x}
           z={z}
           dark={dark}
-          selected={!!isSel}
-          onClick={() => onCellClick?.(r, c)}
+          mark={isSel ? SELECTED : isHint ? HINT : isLast ? LAST : null}
+          pointer={pointer}
         />
       );
 
@@ -144,7 +527,32 @@ export default function ThreeBoard({
           x={x}
           z={z}
           stack={stack}
+          hideTop={
+            onSquare(flying?.dst, r, c) ||
+            (drag?.moved && onSquare(drag.from, r, c))
+          }
+          pointer={pointer}
+        />
+      );
+
+      if (cursor && cursor[0] === r && cursor[1] === c)
+        markers.push(<CursorFrame key={`cu-${vr}-${vc}`} x={x} z={z} />);
+      if (overlays?.threats.has(key))
+        markers.push(<ThreatRing key={`th-${vr}-${vc}`} x={x} z={z} h={h} />);
+      if (overlays?.danger.has(key))
+        markers.push(<DangerMarker key={`dg-${vr}-${vc}`} x={x} z={z} h={h} />);
+
+      cells.push(
+        <div
+          key={vc}
+          role="gridcell"
+          data-r={r}
+          data-c={c}
+          tabIndex={(cursor ? onSquare(cursor, r, c) : !vr && !vc) ? 0 : -1}
+          aria-selected={!!isSel}
+          aria-label={squareLabel(board, r, c, { legal: isLegal, overlays })}
           onClick={() => onCellClick?.(r, c)}
+          onFocus={() => !onSquare(cursor, r, c) && onCellFocus?.(r, c)}
         />
       );
 
@@ -155,61 +563,105 @@ export default function ThreeBoard({
             x={x}
             z={z}
             h={h}
-            onClick={() => onCellClick?.(r, c)}
+            pointer={pointer}
           />
         );
       }
     }
+    rows.push(
+      <div key={vr} role="row">
+        {cells}
+      </div>
+    );
   }
 
   return (
-    <Canvas
-      shadows
-      camera={{ position: [6, 8.5, 9.5], fov: 40 }}
-      style={{ width: "100%", height: "100%" }}
-    >
-      {/* mood + soft lights */}
-      <color attach="background" args={["#0b1220"]} />
-      <ambientLight intensity={0.45} />
-      <directionalLight
-        position={[6, 8, 6]}
-        intensity={1.0}
-        castShadow
-        shadow-mapSize-width={1024}
-        shadow-mapSize-height={1024}
-      />
-      <Stars
-        radius={40}
-        depth={18}
-        count={500}
-        factor={3}
-        saturation={0}
-        fade
-        speed={1}
-      />
+    <>
+      <div
+        ref={gridRef}
+        role="grid"
+        aria-label={`Board, ${N} by ${N}`}
+        className="sr-only"
+      >
+        {rows}
+      </div>
+      <Canvas
+        key={N} // the camera is placed on mount, so remount for a new size
+        aria-hidden
+        shadows
+        camera={{ position: [6 * zoom, 8.5 * zoom, 9.5 * zoom], fov: 40 }}
+        style={{ width: "100%", height: "100%" }}
+      >
+        {/* mood + soft lights */}
+        <color attach="background" args={["#0b1220"]} />
+        <ambientLight intensity={0.45} />
+        <directionalLight
+          position={[6, 8, 6]}
+          intensity={1.0}
+          castShadow
+          shadow-mapSize-width={1024}
+          shadow-mapSize-height={1024}
+        />
+        <Stars
+          radius={40}
+          depth={18}
+          count={500}
+          factor={3}
+          saturation={0}
+          fade
+          speed={1}
+        />
 
-      {/* wooden frame below the board */}
-      <group position={[0, 0, 0]}>
-        <mesh position={[0, 0, 0]} receiveShadow>
-          <boxGeometry args={[N + 0.6, 0.2, N + 0.6]} />
-          <meshStandardMaterial color={FRAME} roughness={0.7} metalness={0.0} />
-        </mesh>
+        {/* wooden frame below the board */}
+        <group position={[0, 0, 0]}>
+          <mesh position={[0, 0, 0]} receiveShadow>
+            <boxGeometry args={[N + 0.6, 0.2, N + 0.6]} />
+            <meshStandardMaterial
+              color={FRAME}
+              roughness={0.7}
+              metalness={0.0}
+            />
+          </mesh>
 
-        {/* tile layer, towers, and legal markers */}
-        <group position={[0, 0.11, 0]}>{tiles}</group>
-        <group position={[0, 0.11, 0]}>{towers}</group>
-        <group position={[0, 0, 0]}>{markers}</group>
-      </group>
+          {/* tile layer, towers, and legal markers */}
+          <group position={[0, 0.11, 0]}>{tiles}</group>
+          <group position={[0, 0.11, 0]}>{towers}</group>
+          <group position={[0, 0, 0]}>{markers}</group>
 
-      {/* mouse look / zoom */}
-      <OrbitControls
-        makeDefault
-        enablePan={false}
-        minDistance={7}
-        maxDistance={18}
-        minPolarAngle={0.4}
-        maxPolarAngle={1.35}
-      />
-    </Canvas>
+          {flying && (
+            <FlyingBlock
+              key={anim.id}
+              from={flight.from}
+              to={flight.to}
+              color={board[flying.dst[0]][flying.dst[1]].at(-1)}
+              cross={flying.kind === "Cross"}
+              seconds={seconds}
+              onDone={landed}
+            />
+          )}
+          {ghost && <DragGhost {...ghost} />}
+          {winSquare && !flying && (
+            <Celebration
+              x={world(winSquare)[0]}
+              y={blockY(board[winSquare[0]][winSquare[1]].length) + BLOCK_H}
+              z={world(winSquare)[1]}
+              color={crossing}
+            />
+          )}
+        </group>
+
+        {/* mouse look / zoom */}
+        <OrbitControls
+          ref={controls}
+          makeDefault
+          enabled={!drag}
+          enablePan={false}
+          minDistance={7 * zoom}
+          maxDistance={18 * zoom}
+          minPolarAngle={0.4}
+          maxPolarAngle={1.35}
+        />
+      </Canvas>
+    </>
   );
 }
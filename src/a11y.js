@@ -0,0 +1,59 @@
+// src/a11y.js
+// Screen-reader support shared by the 2D grid and ThreeBoard: spoken labels
+// for squares and moves, and focus that follows the keyboard cursor.
+import { useEffect } from "react";
+import { sqKey } from "./engine.js";
+import { KIND_NAMES, squareName } from "./notation.js";
+
+const COLOR_NAME = { R: "Red", B: "Blue" };
+
+/**
+ * "D5, Red tower height 3, top Red" or "D5, empty", followed by notes for a
+ * legal destination of the selected tower and any board overlays on it.
+ */
+export function squareLabel(board, r, c, { legal, overlays } = {}) {
+  const stack = board[r][c];
+  const parts = [squareName(r, c, board.length)];
+  if (!stack.length) parts.push("empty");
+  else {
+    const reds = stack.filter((b) => b === "R").length;
+    const blues = stack.length - reds;
+    const kind = !blues
+      ? "Red tower"
+      : !reds
+      ? "Blue tower"
+      : `mixed tower (${reds} Red, ${blues} Blue)`;
+    const top = COLOR_NAME[stack[stack.length - 1]];
+    parts.push(`${kind} height ${stack.length}, top ${top}`);
+  }
+  const key = sqKey(r, c);
+  if (legal) parts.push("legal move");
+  if (overlays?.lastMove.has(key)) parts.push("last move");
+  if (overlays?.threats.has(key)) parts.push("can be crossed");
+  if (overlays?.danger.has(key)) parts.push("one row from goal");
+  return parts.join(", ");
+}
+
+/** "Blue Cross D4 to D5", or "Blue passes" for a null move. */
+export function moveLabel(move, color, size) {
+  if (!move) return `${COLOR_NAME[color]} passes`;
+  const from = squareName(move.src[0], move.src[1], size);
+  const to = squareName(move.dst[0], move.dst[1], size);
+  const kind = KIND_NAMES[move.kind] || "moves";
+  return `${COLOR_NAME[color]} ${kind} ${from} to ${to}`;
+}
+
+/**
+ * While focus is inside `gridRef`, moves it to the cell of the keyboard
+ * cursor (cells carry data-r / data-c), so a screen reader reads the square
+ * the arrows landed on.
+ */
+export function useCursorFocus(gridRef, cursor) {
+  useEffect(() => {
+    const grid = gridRef.current;
+    if (!cursor || !grid?.contains(document.activeElement)) return;
+    grid
+      .querySelector(`[data-r="${cursor[0]}"][data-c="${cursor[1]}"]`)
+      ?.focus();
+  }, [gridRef, cursor]);
+}
@@ -0,0 +1,798 @@
+// src/ai.js
+// Computer players. Pure functions over the engine's board representation;
+// the minimax search packs the board once and works on that (see packed.js).
+import {
+  DEFAULT_RULES,
+  DIRS,
+  MAX_SIZE,
+  N,
+  applyMove,
+  crossingAfterMove,
+  crossingVictory,
+  height,
+  legalMoves,
+  maxBlocks,
+  moveKey,
+  nextBounce,
+  sameRules,
+} from "./engine.js";
+import {
+  BLUE,
+  RED,
+  colorCode,
+  crossingAfter,
+  makeMove,
+  moveNumber,
+  packBoard,
+  packedCrossing,
+  packedKind,
+  squareIndex,
+  unmakeMove,
+  unpackMove,
+} from "./packed.js";
+import {
+  EXACT,
+  LOWER,
+  UPPER,
+  createTable,
+  hashAfterMove,
+  hashPosition,
+  hashWithBounce,
+  rehashBounce,
+} from "./transposition.js";
+import { searchMcts } from "./mcts.js";
+
+/* ================== AI (same as before, stronger heuristics) ================== */
+export function centerBonus(c, size = N) {
+  const d = Math.abs(c - (size - 1) / 2); // 0.5 on the two centre files
+  return d < 1 ? 4 : d < 2 ? 2 : 0;
+}
+
+// Per-square part of `evaluate` for a tower topped by each colour (without
+// the 4·height term): row progress, centre files, and the ±40 / ±120 bonuses
+// for reaching the row before the goal and the goal row. One pair of tables
+// per board size.
+const squareTables = new Map();
+function squareTable(size) {
+  let t = squareTables.get(size);
+  if (t) return t;
+  const last = size - 1;
+  t = { R: new Array(size * size), B: new Array(size * size) };
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const central = centerBonus(c, size);
+      t.R[r * size + c] =
+        14 * r + central + (r === last - 1 ? 40 : 0) + (r === last ? 120 : 0);
+      t.B[r * size + c] =
+        14 * (last - r) + central + (r === 1 ? 40 : 0) + (r === 0 ? 120 : 0);
+    }
+  }
+  squareTables.set(size, t);
+  return t;
+}
+
+// Static eval: higher better for Red, lower better for Blue
+export const evaluate = (board, rules = DEFAULT_RULES) =>
+  evaluatePacked(packBoard(board, rules));
+
+// `evaluate` on a packed board (see packed.js), whose mobility counts are
+// already up to date
+const evaluatePacked = (p) =>
+  towers(p) + 3 * (p.mobility[RED] - p.mobility[BLUE]);
+
+// The per-square part of evaluatePacked, for square i and for the board
+function tower(p, i, table) {
+  const top = p.tops[i];
+  if (top === RED) return table.R[i] + 4 * p.hs[i];
+  if (top === BLUE) return -(table.B[i] + 4 * p.hs[i]);
+  return 0;
+}
+function towers(p) {
+  const table = squareTable(p.size);
+  let score = 0;
+  for (let i = 0; i < p.tops.length; i++) score += tower(p, i, table);
+  return score;
+}
+
+// `first` (e.g. the transposition table's best move) is always tried first;
+// `history` (moveKey → weight) ranks moves that caused cut-offs elsewhere.
+// Moves that would lose by repetition (given `bounce`) go last.
+export function orderMoves(
+  board,
+  color,
+  moves,
+  bounce,
+  first,
+  history,
+  rules = DEFAULT_RULES
+) {
+  const dstHeight = (m) => height(board, m.dst[0], m.dst[1]);
+  const size = board.length;
+  return rankMoves(
+    size,
+    dstHeight,
+    color,
+    moves,
+    bounce,
+    first,
+    history,
+    rules
+  );
+}
+// orderMoves on any board: `dstHeight(m)` is the height of m's destination
+function rankMoves(
+  size,
+  dstHeight,
+  color,
+  moves,
+  bounce,
+  first,
+  history,
+  rules
+) {
+  const firstKey = first && moveKey(first);
+  return moves
+    .map((m) => {
+      const key = moveKey(m);
+      let w = 0;
+      if (key === firstKey) w += 100000;
+      if (history) w += history.get(key) || 0;
+      if (m.kind === "Cross") w += 50;
+      if (m.kind === "StepDown") w += 10;
+      const dr = m.dst[0] - m.src[0];
+      if ((color === "R" && dr > 0) || (color === "B" && dr < 0)) w += 8;
+      w += centerBonus(m.dst[1], size);
+      const hAfter = dstHeight(m) + 1;
+      w += Math.min(hAfter, 6);
+      if (losesByRepetition(bounce, color, m, rules)) w -= 1000000;
+      return { m, w };
+    })
+    .sort((a, b) => b.w - a.w)
+    .map((x) => x.m);
+}
+
+/* ---------------- Repetition awareness ---------------- */
+// Losing by repetition scores like a Lockout
+const REPETITION_LOSS = 99999;
+// Bonus for an opponent's pair count, by how many pairs it is short of the
+// limit (index): a side close to the limit has to avoid its bouncing piece,
+// so push it there
+const REPETITION_PRESSURE = [0, 14, 4];
+
+/** True if `color` playing `m` completes its last allowed A↔B pair. */
+export function losesByRepetition(bounce, color, m, rules = DEFAULT_RULES) {
+  // A move adds at most one pair
+  if (!bounce || bounce[color].pairs + 1 < rules.repetitionLimit) return false;
+  const next = nextBounce(bounce, color, m.src, m.dst);
+  return next[color].pairs >= rules.repetitionLimit;
+}
+
+// Red-positive score for both sides' bounce counters
+function repetitionPressure(bounce, rules) {
+  if (!bounce) return 0;
+  return pressure(bounce.B.pairs, rules) - pressure(bounce.R.pairs, rules);
+}
+const pressure = (pairs, rules) =>
+  REPETITION_PRESSURE[rules.repetitionLimit - pairs] || 0;
+
+// The mover's pair count after `m`, as nextBounce gives it, without building
+// the new state: any move but one between its endpoints starts again at 0
+const endpointSquares = new Map(); // endpoints → [r1, c1, r2, c2]
+function pairsAfter(bounce, color, m) {
+  const { endpoints } = bounce[color];
+  if (!endpoints) return 0;
+  let sq = endpointSquares.get(endpoints);
+  if (!sq)
+    endpointSquares.set(endpoints, (sq = endpoints.split(/[|,]/).map(Number)));
+  const on = ([r, c]) =>
+    (r === sq[0] && c === sq[1]) || (r === sq[2] && c === sq[3]);
+  return on(m.src) && on(m.dst)
+    ? nextBounce(bounce, color, m.src, m.dst)[color].pairs
+    : 0;
+}
+
+export function pickRandom(moves, color, bounce, rules = DEFAULT_RULES) {
+  const safe = moves.filter((m) => !losesByRepetition(bounce, color, m, rules));
+  const list = safe.length ? safe : moves;
+  if (!list.length) return null;
+  return list[Math.floor(Math.random() * list.length)];
+}
+export function pickGreedy(board, color, bounce, rules = DEFAULT_RULES) {
+  const moves = legalMoves(board, color, rules);
+  if (!moves.length) return null;
+  let best = null;
+  let bestScore = color === "R" ? -Infinity : Infinity;
+  const ordered = orderMoves(board, color, moves, bounce, null, null, rules);
+  const p = packBoard(board, rules);
+  for (const m of ordered) {
+    let s;
+    if (losesByRepetition(bounce, color, m, rules))
+      s = color === "R" ? -REPETITION_LOSS : REPETITION_LOSS;
+    else {
+      const nb = bounce && nextBounce(bounce, color, m.src, m.dst);
+      const [from, to] = [squareIndex(p, m.src), squareIndex(p, m.dst)];
+      makeMove(p, from, to);
+      s = evaluatePacked(p) + repetitionPressure(nb, rules);
+      unmakeMove(p, from, to);
+    }
+    if (color === "R" ? s > bestScore : s < bestScore) {
+      bestScore = s;
+      best = m;
+    }
+  }
+  return best || pickRandom(moves, color, bounce, rules);
+}
+// `p` is the position as a packed board (see packed.js, and packBoard for
+// an engine board); moves are made and taken back on it in place, so it is
+// unchanged on return.
+// `bounce` (optional) is both players' repetition state, as in GameState:
+// a move that completes the mover's last allowed pair loses on the spot, and
+// leaves reward bounce pressure on the opponent.
+// `ctx` (optional) is shared by every node of one search:
+//   { deadline, nodes, stop, tt, history (a historyTable), rules }
+// Without `ctx` the standard rules apply.
+// Once `stop` is set the returned scores are meaningless and must be dropped.
+// `hash` is the Zobrist hash of (board, color, bounce); together with
+// `ctx.tt` it turns on the transposition table. With `ctx`, each node checks
+// the Crossings its own moves cause instead of rescanning the goal rows, so
+// the root position must not already be won.
+export function minimax(p, color, depth, alpha, beta, bounce, ctx, hash) {
+  if (ctx) tick(ctx);
+  if (ctx?.stop) return { score: 0, move: null };
+  const rules = ctx?.rules || DEFAULT_RULES;
+
+  const cross = ctx ? null : packedCrossing(p);
+  if (cross === "R") return { score: 999999, move: null };
+  if (cross === "B") return { score: -999999, move: null };
+  if (depth === 0) {
+    // Leaves are reached through many move orders: cache their evaluation
+    const tt = hash && ctx?.tt;
+    const e = tt && tt.probe(hash);
+    if (e && e.flag === EXACT) return { score: e.score, move: null };
+    const score = evaluatePacked(p) + repetitionPressure(bounce, rules);
+    if (tt) tt.store(hash, 0, EXACT, score, null);
+    return { score, move: null };
+  }
+
+  // Transposition table: reuse a deep-enough result or narrow the window,
+  // and try the stored best move first either way
+  const tt = hash && ctx?.tt;
+  let ttMove = -1;
+  if (tt) {
+    const e = tt.probe(hash);
+    const n = e?.move ? moveNumber(p, e.move) : -1;
+    if (n >= 0 && p.tops[n >> 2] === colorCode(color) && packedKind(p, n))
+      ttMove = n;
+    if (ttMove >= 0 && e.depth >= depth) {
+      const move = unpackMove(p, ttMove);
+      if (e.flag === EXACT) return { score: e.score, move };
+      if (e.flag === LOWER) alpha = Math.max(alpha, e.score);
+      else beta = Math.min(beta, e.score);
+      if (beta <= alpha) return { score: e.score, move };
+    }
+  }
+
+  const { moves, weights } = weighMoves(p, color, bounce, ttMove, ctx?.history);
+  if (!moves.length)
+    return { score: color === "R" ? -99999 : 99999, move: null };
+  const alpha0 = alpha,
+    beta0 = beta;
+
+  let bestMove = null;
+  let best = color === "R" ? -Infinity : Infinity;
+  let cut = -1;
+  let order = null;
+  const leaves = depth === 1 && ctx ? towers(p) : null;
+
+  for (let n = 0; n < moves.length; n++) {
+    // Heaviest first, equals in move order. Most nodes stop after a move or
+    // two, so the first few are picked one by one and the rest only sorted
+    // when a node gets that far.
+    let k = 0;
+    if (n < PICKED) {
+      for (let q = 1; q < moves.length; q++) if (weights[q] > weights[k]) k = q;
+      weights[k] = -Infinity;
+    } else {
+      order ||= moves
+        .map((_, q) => q)
+        .filter((q) => weights[q] > -Infinity)
+        .sort((x, y) => weights[y] - weights[x] || x - y);
+      k = order[n - PICKED];
+    }
+    const m = unpackMove(p, moves[k]);
+    const first = !bestMove;
+    const score =
+      leaves === null
+        ? scoreMove(p, color, m, depth, alpha, beta, bounce, ctx, hash, first)
+        : leafScore(p, color, m, bounce, ctx, leaves);
+
+    if (color === "R" ? score > best : score < best) {
+      best = score;
+      bestMove = m;
+      cut = moves[k];
+    }
+    if (color === "R") alpha = Math.max(alpha, best);
+    else beta = Math.min(beta, best);
+    if (beta <= alpha) break;
+  }
+
+  if (ctx?.history && bestMove && beta <= alpha)
+    ctx.history[cut] += depth * depth;
+  if (tt && !ctx.stop) {
+    const flag = best <= alpha0 ? UPPER : best >= beta0 ? LOWER : EXACT;
+    tt.store(hash, depth, flag, best, bestMove);
+  }
+  return { score: best, move: bestMove };
+}
+// Moves picked one at a time before the rest are sorted
+const PICKED = 3;
+// History weights per move number, for moves on the largest board
+const historyTable = () => new Float64Array(4 * maxBlocks(MAX_SIZE));
+
+// The moves of `color`, numbered (see packed.js) in the order of legalMoves,
+// with the weights rankMoves would give them: `first` is the number of the
+// transposition table's move, and `history` is a historyTable.
+function weighMoves(p, color, bounce, first, history) {
+  const { size, hs, nbr, tops, rules } = p;
+  const code = colorCode(color);
+  const forward = color === "R" ? 1 : -1;
+  // Only then can a move lose by repetition (see losesByRepetition)
+  const near = bounce && bounce[color].pairs + 1 >= rules.repetitionLimit;
+  const moves = [];
+  const weights = [];
+  for (let i = 0; i < tops.length; i++) {
+    if (tops[i] !== code) continue;
+    for (let m = i * 4; m < i * 4 + 4; m++) {
+      const kind = packedKind(p, m);
+      if (!kind) continue;
+      const j = nbr[m];
+      let w = 0;
+      if (m === first) w += 100000;
+      if (history) w += history[m];
+      if (kind === "Cross") w += 50;
+      if (kind === "StepDown") w += 10;
+      if (DIRS[m & 3].d[0] === forward) w += 8;
+      w += centerBonus(j % size, size);
+      w += Math.min(hs[j] + 1, 6);
+      if (near && losesByRepetition(bounce, color, unpackMove(p, m), rules))
+        w -= 1000000;
+      moves.push(m);
+      weights.push(w);
+    }
+  }
+  return { moves, weights };
+}
+// Score of `color` playing `m` in a `depth`-ply search: repetition loss,
+// Crossing win, or the search of the resulting position.
+function scoreMove(p, color, m, depth, alpha, beta, bounce, ctx, hash, first) {
+  const nextB = bounce && nextBounce(bounce, color, m.src, m.dst);
+  const limit = (ctx?.rules || DEFAULT_RULES).repetitionLimit;
+  if (nextB && nextB[color].pairs >= limit)
+    return color === "R" ? -REPETITION_LOSS : REPETITION_LOSS;
+  const from = squareIndex(p, m.src);
+  const to = squareIndex(p, m.dst);
+  let nh = null;
+  if (hash && ctx?.tt) {
+    nh = hashAfterMove(hash, m, color, p.hs[from] - 1, p.hs[to]);
+    if (bounce) nh = rehashBounce(nh, color, bounce[color], nextB[color]);
+  }
+  makeMove(p, from, to);
+  const won = ctx && crossingAfter(p, from, to);
+  const other = color === "R" ? "B" : "R";
+  const score = won
+    ? won === "R"
+      ? 999999
+      : -999999
+    : pvsChild(p, other, depth - 1, alpha, beta, nextB, ctx, nh, first).score;
+  unmakeMove(p, from, to);
+  return score;
+}
+// scoreMove for the last ply before the leaves, without hashing the leaf or
+// searching it: `leaves` is towers(p), and only the two squares a move
+// touches change it. Leaves are cheap enough that caching them costs more.
+function leafScore(p, color, m, bounce, ctx, leaves) {
+  tick(ctx);
+  const { rules } = ctx;
+  const pairs = bounce ? pairsAfter(bounce, color, m) : 0;
+  if (pairs >= rules.repetitionLimit)
+    return color === "R" ? -REPETITION_LOSS : REPETITION_LOSS;
+  const table = squareTable(p.size);
+  const from = squareIndex(p, m.src);
+  const to = squareIndex(p, m.dst);
+  let score = leaves - tower(p, from, table) - tower(p, to, table);
+  makeMove(p, from, to);
+  const won = crossingAfter(p, from, to);
+  score +=
+    tower(p, from, table) +
+    tower(p, to, table) +
+    3 * (p.mobility[RED] - p.mobility[BLUE]);
+  if (bounce)
+    score +=
+      color === "R"
+        ? pressure(bounce.B.pairs, rules) - pressure(pairs, rules)
+        : pressure(pairs, rules) - pressure(bounce.R.pairs, rules);
+  unmakeMove(p, from, to);
+  if (won) return won === "R" ? 999999 : -999999;
+  return score;
+}
+// Counts a node and stops the search once past the deadline
+function tick(ctx) {
+  if (++ctx.nodes % 1024 === 0 && Date.now() > ctx.deadline) ctx.stop = true;
+}
+// Principal variation search: after the first (best-ordered) move, prove the
+// others are no better with a zero-width window and only re-search the rare
+// one that is. Scores are integers, so a window of 1 is zero-width.
+function pvsChild(p, color, depth, alpha, beta, bounce, ctx, hash, first) {
+  // `color` moves next, so the parent is the other side
+  const bound = color === "B" ? alpha : beta;
+  if (first || !ctx || !Number.isFinite(bound))
+    return minimax(p, color, depth, alpha, beta, bounce, ctx, hash);
+  const [lo, hi] = color === "B" ? [alpha, alpha + 1] : [beta - 1, beta];
+  const res = minimax(p, color, depth, lo, hi, bounce, ctx, hash);
+  if (res.score > alpha && res.score < beta)
+    return minimax(p, color, depth, alpha, beta, bounce, ctx, hash);
+  return res;
+}
+export function pickMinimax(
+  board,
+  color,
+  depth,
+  bounce,
+  rules = DEFAULT_RULES
+) {
+  const moves = legalMoves(board, color, rules);
+  if (!moves.length) return null;
+  const ctx = crossingVictory(board)
+    ? null
+    : { deadline: Infinity, nodes: 0, stop: false, rules };
+  const { move } = minimax(
+    packBoard(board, rules),
+    color,
+    depth,
+    -Infinity,
+    Infinity,
+    bounce,
+    ctx
+  );
+  return (
+    move ||
+    pickGreedy(board, color, bounce, rules) ||
+    pickRandom(moves, color, bounce, rules)
+  );
+}
+
+// One table per thread, kept between moves (entries are position-keyed).
+// Hashes don't include the rules, so a search under other rules starts empty.
+let table = null;
+let tableRules = DEFAULT_RULES;
+function sharedTable(rules) {
+  if (!table) table = createTable();
+  else if (!sameRules(rules, tableRules)) table.clear();
+  tableRules = rules;
+  return table;
+}
+
+/**
+ * Iterative deepening: search depth 1, 2, … up to `maxDepth`, keeping the best
+ * move of the last depth that finished inside `timeMs`. Depth 1 always
+ * finishes. `onDepth(depth, best)` is called as each depth starts, with the
+ * best move so far (null before depth 1). `tt` is the transposition table
+ * (see createTable); by default the thread's shared one.
+ */
+export function searchMinimax(
+  board,
+  color,
+  {
+    maxDepth,
+    timeMs = Infinity,
+    bounce = null,
+    rules = DEFAULT_RULES,
+    onDepth,
+    tt = null,
+  } = {}
+) {
+  const moves = legalMoves(board, color, rules);
+  if (!moves.length || crossingVictory(board)) return null;
+  const deadline = Date.now() + timeMs;
+  const ctx = {
+    deadline,
+    nodes: 0,
+    stop: false,
+    tt: tt || sharedTable(rules),
+    history: historyTable(),
+    rules,
+  };
+  ctx.tt.newSearch();
+  let hash = hashPosition(board, color);
+  if (bounce) hash = hashWithBounce(hash, bounce);
+  const p = packBoard(board, rules);
+  let best = null;
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    onDepth?.(depth, best);
+    ctx.deadline = depth > 1 ? deadline : Infinity;
+    const res = minimax(
+      p,
+      color,
+      depth,
+      -Infinity,
+      Infinity,
+      bounce,
+      ctx,
+      hash
+    );
+    if (process.env.NODES) console.error(depth, ctx.nodes);
+    if (ctx.stop) break;
+    if (res.move) best = res.move;
+    if (Math.abs(res.score) >= 99999) break; // forced result, no need to go on
+  }
+  return (
+    best ||
+    pickGreedy(board, color, bounce, rules) ||
+    pickRandom(moves, color, bounce, rules)
+  );
+}
+
+/**
+ * Analysis for the side to move: every move scored by an iteratively deepened
+ * search (Red-positive, like `evaluate`), best first. Returns
+ * { depth, score, lines: [{ move, score }] } with the top `count` lines from
+ * the deepest finished depth, or null if there is nothing to analyse.
+ */
+export function analyzePosition(
+  board,
+  color,
+  {
+    maxDepth = 5,
+    timeMs = 2000,
+    count = 3,
+    bounce = null,
+    rules = DEFAULT_RULES,
+    onDepth,
+  } = {}
+) {
+  let moves = legalMoves(board, color, rules);
+  if (!moves.length || crossingVictory(board)) return null;
+  const deadline = Date.now() + timeMs;
+  const ctx = {
+    deadline,
+    nodes: 0,
+    stop: false,
+    tt: sharedTable(rules),
+    history: historyTable(),
+    rules,
+  };
+  ctx.tt.newSearch();
+  let hash = hashPosition(board, color);
+  if (bounce) hash = hashWithBounce(hash, bounce);
+  const p = packBoard(board, rules);
+  let result = null;
+  for (let depth = 1; depth <= maxDepth; depth++) {
+    onDepth?.(depth);
+    ctx.deadline = depth > 1 ? deadline : Infinity;
+    // Full window for every move, so each score is exact
+    const lines = [];
+    for (const m of moves) {
+      const score = scoreMove(
+        p,
+        color,
+        m,
+        depth,
+        -Infinity,
+        Infinity,
+        bounce,
+        ctx,
+        hash,
+        true
+      );
+      if (ctx.stop) break;
+      lines.push({ move: m, score });
+    }
+    if (ctx.stop) break;
+    lines.sort((a, b) =>
+      color === "R" ? b.score - a.score : a.score - b.score
+    );
+    result = { depth, score: lines[0].score, lines: lines.slice(0, count) };
+    moves = lines.map((l) => l.move); // best first at the next depth
+  }
+  return result;
+}
+
+/* ---------------- Forced wins (puzzles) ---------------- */
+// Lockout and repetition wins score ±99999, Crossings ±999999
+const FORCED = 99999;
+
+/**
+ * True if `winner` can force a win within `plies` plies of `board` (`toMove`
+ * to move), whatever the other side plays. A side left without moves after
+ * the last of those plies counts as locked out, so for "`winner` to move and
+ * win in N" pass 2N. No transposition table: a table entry from a deeper
+ * search would let a longer win through.
+ */
+export function forcedWin(
+  board,
+  toMove,
+  winner,
+  plies,
+  { bounce = null, rules = DEFAULT_RULES } = {}
+) {
+  const cross = crossingVictory(board);
+  if (cross) return cross === winner;
+  const ctx = { deadline: Infinity, nodes: 0, stop: false, rules };
+  // Null window at the win threshold: only "win or not" is needed
+  const [alpha, beta] =
+    winner === "R" ? [FORCED - 1, FORCED] : [-FORCED, -FORCED + 1];
+  const p = packBoard(board, rules);
+  const { score } = minimax(p, toMove, plies, alpha, beta, bounce, ctx);
+  return winner === "R" ? score >= FORCED : score <= -FORCED;
+}
+
+/**
+ * Reply for `color`, who is being mated in `movesLeft` of the opponent's
+ * moves, that holds out longest. A reply that escapes (the opponent can't
+ * win in time) is returned at once.
+ */
+export function longestDefence(
+  board,
+  color,
+  movesLeft,
+  { bounce = null, rules = DEFAULT_RULES } = {}
+) {
+  const winner = color === "R" ? "B" : "R";
+  const moves = orderMoves(
+    board,
+    color,
+    legalMoves(board, color, rules),
+    bounce,
+    null,
+    null,
+    rules
+  );
+  let best = null;
+  let bestNeed = -1;
+  for (const m of moves) {
+    if (losesByRepetition(bounce, color, m, rules)) {
+      if (!best) best = m;
+      continue;
+    }
+    const nb = applyMove(board, m);
+    if (crossingAfterMove(nb, m) === color) return m;
+    const nextB = bounce && nextBounce(bounce, color, m.src, m.dst);
+    // Fewest moves the winner still needs after this reply
+    let need = 1;
+    while (
+      need <= movesLeft &&
+      !forcedWin(nb, winner, winner, 2 * need, { bounce: nextB, rules })
+    )
+      need++;
+    if (need > movesLeft) return m;
+    if (need > bestNeed) {
+      bestNeed = need;
+      best = m;
+    }
+  }
+  return best;
+}
+
+/* ---------------- Game review ---------------- */
+// How much a move may lose, in evaluation points from the mover's side,
+// before it earns each tag. Anything less than an inaccuracy is untagged.
+export const REVIEW_TAGS = [
+  { id: "blunder", name: "Blunder", minLoss: 150 },
+  { id: "mistake", name: "Mistake", minLoss: 60 },
+  { id: "inaccuracy", name: "Inaccuracy", minLoss: 20 },
+];
+
+// Forced results score far beyond normal positions; past this they all count
+// the same, so missing a win is a blunder rather than a million-point one
+export const REVIEW_CAP = 1000;
+const cap = (s) => Math.max(-REVIEW_CAP, Math.min(REVIEW_CAP, s));
+
+/**
+ * Reviews `steps` ([{ board, color, bounce, move }]: each position and the
+ * move played in it, null for a pass). Returns one entry per step:
+ * { color, move, best, bestScore, score, loss, tag } with Red-positive
+ * scores capped at ±REVIEW_CAP, `best` the engine's move, and `tag` "best"
+ * (nothing lost), a REVIEW_TAGS id, or null. Passes have null scores.
+ * onProgress(n) follows the steps done.
+ */
+export function reviewGame(
+  steps,
+  { rules = DEFAULT_RULES, maxDepth = 4, timeMs = 300, onProgress } = {}
+) {
+  return steps.map(({ board, color, bounce, move }, i) => {
+    const res =
+      move &&
+      analyzePosition(board, color, {
+        maxDepth,
+        timeMs,
+        count: Infinity,
+        bounce,
+        rules,
+      });
+    onProgress?.(i + 1);
+    const played = res?.lines.find((l) => moveKey(l.move) === moveKey(move));
+    if (!played)
+      return { color, move, best: null, bestScore: null, score: null };
+    const bestScore = cap(res.lines[0].score);
+    const score = cap(played.score);
+    const loss = Math.max(0, (bestScore - score) * (color === "R" ? 1 : -1));
+    // A move as good as the engine's is best too
+    const tag = !loss
+      ? "best"
+      : REVIEW_TAGS.find((t) => loss >= t.minLoss)?.id || null;
+    return {
+      color,
+      move,
+      best: res.lines[0].move,
+      bestScore,
+      score,
+      loss,
+      tag,
+    };
+  });
+}
+
+/**
+ * Entry point for aiClient / aiWorker requests. `task`:
+ *   "move"    best move at `level`
+ *   "analyze" see analyzePosition
+ *   "forced"  see forcedWin (`winner`, `plies`)
+ *   "defend"  see longestDefence (`movesLeft`)
+ *   "review"  see reviewGame (`steps`); onDepth gets the steps done
+ */
+export function runAiTask(
+  { task = "move", board, color, level, bounce, rules, ...extra },
+  onDepth
+) {
+  if (task === "analyze")
+    return analyzePosition(board, color, { bounce, rules, onDepth });
+  if (task === "forced")
+    return forcedWin(board, color, extra.winner, extra.plies, {
+      bounce,
+      rules,
+    });
+  if (task === "defend")
+    return longestDefence(board, color, extra.movesLeft, { bounce, rules });
+  if (task === "review")
+    return reviewGame(extra.steps, { rules, onProgress: onDepth });
+  return pickMove(board, color, level, { bounce, rules, onDepth });
+}
+
+// Search limits per level: depth cap and time budget (ms), or MCTS options.
+// Very Hard finishes depth 5 in about a second and depth 6 takes several
+// more, so it stops at 5 (measure with scripts/depth.js).
+export const AI_LEVELS = {
+  RANDOM: {},
+  GREEDY: {},
+  MINIMAX2: { maxDepth: 2, timeMs: 1500 },
+  MINIMAX3: { maxDepth: 5, timeMs: 2500 },
+  MCTS_ITER: { mcts: { iterations: 3000, playout: "heavy" } },
+  MCTS_TIME: { mcts: { timeMs: 3000, playout: "heavy" } },
+};
+
+/**
+ * Dispatch on an AI level id (RANDOM | GREEDY | MINIMAX2 | MINIMAX3 |
+ * MCTS_ITER | MCTS_TIME).
+ * Pass the game's `bounce` so the computer respects the repetition rule, and
+ * its `rules` for anything but the standard game.
+ */
+export function pickMove(
+  board,
+  color,
+  level,
+  { bounce, rules = DEFAULT_RULES, onDepth, tt } = {}
+) {
+  if (level === "RANDOM")
+    return pickRandom(legalMoves(board, color, rules), color, bounce, rules);
+  if (level === "GREEDY") return pickGreedy(board, color, bounce, rules);
+  const limits = AI_LEVELS[level] || AI_LEVELS.MINIMAX3;
+  if (limits.mcts)
+    return searchMcts(board, color, { ...limits.mcts, bounce, rules });
+  return searchMinimax(board, color, {
+    ...limits,
+    bounce,
+    rules,
+    onDepth,
+    tt,
+  });
+}
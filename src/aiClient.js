@@ -0,0 +1,70 @@
+// src/aiClient.js
+// Main-thread side of the computer player. A running search can't be
+// interrupted by a message, so cancel() terminates the worker and the next
+// think() starts a fresh one.
+import { runAiTask } from "./ai.js";
+
+export function createAiClient() {
+  let worker = null;
+  let pending = null; // { id, resolve, onDepth, request }
+  let nextId = 1;
+
+  // Same search on the main thread: no Worker support, or the worker died
+  const runInline = (req, onDepth) => runAiTask(req, onDepth);
+
+  function spawn() {
+    worker = new Worker(new URL("./aiWorker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (!pending || msg.id !== pending.id) return; // stale reply
+      if (msg.type === "depth") pending.onDepth?.(msg.depth);
+      else if (msg.type === "result") {
+        const p = pending;
+        pending = null;
+        p.resolve(msg.result);
+      }
+    };
+    worker.onerror = () => {
+      const p = pending;
+      pending = null;
+      worker.terminate();
+      worker = null;
+      if (p) p.resolve(runInline(p.request, p.onDepth));
+    };
+  }
+
+  function cancel() {
+    if (!pending) return;
+    pending = null;
+    worker?.terminate();
+    worker = null;
+  }
+
+  return {
+    /**
+     * Resolves with the chosen move (or null), or for task "analyze" with
+     * the analysis (see analyzePosition). A cancelled search never resolves;
+     * callers drop it from their own cleanup.
+     * request: { task?, board, color, level, bounce }
+     */
+    think(request, { onDepth } = {}) {
+      cancel();
+      if (typeof Worker === "undefined")
+        return Promise.resolve(runInline(request, onDepth));
+      if (!worker) spawn();
+      const id = nextId++;
+      return new Promise((resolve) => {
+        pending = { id, resolve, onDepth, request };
+        worker.postMessage({ id, ...request });
+      });
+    },
+    cancel,
+    dispose() {
+      cancel();
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
@@ -0,0 +1,14 @@
+// src/aiWorker.js
+// Web Worker entry: runs one search per message and posts the result.
+// Request:  { id, task, board, color, ... } (see runAiTask in ai.js)
+// Replies:  { id, type: "depth", depth } while deepening, then
+//           { id, type: "result", result }
+import { runAiTask } from "./ai.js";
+
+self.onmessage = (e) => {
+  const { id, ...request } = e.data;
+  const result = runAiTask(request, (depth) =>
+    self.postMessage({ id, type: "depth", depth })
+  );
+  self.postMessage({ id, type: "result", result });
+};
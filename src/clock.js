@@ -0,0 +1,108 @@
+// src/clock.js
+// Game clocks. Pure functions: the UI measures how long the side to move has
+// been thinking and asks these for what is left.
+//
+// A time control is one of
+//   { type: "none" }
+//   { type: "sudden", baseMs }                    all moves in baseMs
+//   { type: "fischer", baseMs, incMs }            + incMs after each move
+//   { type: "byoyomi", baseMs, periodMs, periods } then periods of periodMs
+// Clock state is { R: { ms, periods }, B: { ms, periods } }: main time left
+// and byo-yomi periods left for each side.
+
+export const NO_CLOCK = Object.freeze({ type: "none" });
+
+export const initialClock = (tc) => {
+  const side = () => ({ ms: tc.baseMs || 0, periods: tc.periods || 0 });
+  return { R: side(), B: side() };
+};
+
+/**
+ * Time left for a side that has been thinking for `elapsed` ms this turn:
+ * { ms, periods, byoyomi, flagged }. In byo-yomi, `ms` is what is left of the
+ * current period.
+ */
+export function timeLeft(tc, side, elapsed) {
+  if (tc.type === "none")
+    return { ms: Infinity, periods: 0, byoyomi: false, flagged: false };
+  let ms = side.ms - elapsed;
+  if (ms > 0 || tc.type !== "byoyomi")
+    return { ms, periods: side.periods, byoyomi: false, flagged: ms <= 0 };
+  // Main time is gone: each period fully used up is lost
+  const over = -ms;
+  const used = Math.floor(over / tc.periodMs);
+  const periods = side.periods - used;
+  ms = tc.periodMs - (over % tc.periodMs);
+  return {
+    ms: periods > 0 ? ms : 0,
+    periods: Math.max(periods, 0),
+    byoyomi: true,
+    flagged: periods <= 0,
+  };
+}
+
+/** Thinking time a side has this turn before its flag falls. */
+export const timeToFlag = (tc, side) =>
+  tc.type === "none"
+    ? Infinity
+    : side.ms + (tc.type === "byoyomi" ? side.periods * tc.periodMs : 0);
+
+/**
+ * Clock after `color` finishes its turn having used `elapsed` ms. A move
+ * earns the Fischer increment; a pass (`moved` false) does not.
+ */
+export function chargeClock(tc, clock, color, elapsed, moved = true) {
+  if (tc.type === "none") return clock;
+  const left = timeLeft(tc, clock[color], elapsed);
+  let side;
+  if (left.byoyomi) {
+    // Beating a period resets it; main time stays at zero
+    side = { ms: 0, periods: left.periods };
+  } else {
+    const inc = tc.type === "fischer" && moved ? tc.incMs : 0;
+    side = { ms: left.ms + inc, periods: clock[color].periods };
+  }
+  return { ...clock, [color]: side };
+}
+
+/** 95_300 → "1:36" (whole seconds round up), 8_400 → "8.4". */
+export function formatClock(ms) {
+  if (!Number.isFinite(ms)) return "—";
+  const t = Math.max(ms, 0);
+  if (t < 10000) return (Math.floor(t / 100) / 10).toFixed(1);
+  const s = Math.ceil(t / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/** Short label for setup and records, e.g. "5+3", "10 min", "5 min + 3×30s". */
+export function describeTimeControl(tc) {
+  const min = (ms) => `${ms / 60000}`;
+  if (tc.type === "sudden") return `${min(tc.baseMs)} min`;
+  if (tc.type === "fischer") return `${min(tc.baseMs)}+${tc.incMs / 1000}`;
+  if (tc.type === "byoyomi")
+    return `${min(tc.baseMs)} min + ${tc.periods}×${tc.periodMs / 1000}s`;
+  return "None";
+}
+
+/** describeTimeControl label → time control; NO_CLOCK if it is not one. */
+export function parseTimeControl(text) {
+  const ms = (v, unit) => Math.round(Number(v) * unit);
+  const num = "(\\d+(?:\\.\\d+)?)";
+  let m;
+  if ((m = new RegExp(`^${num} min$`).exec(text)))
+    return { type: "sudden", baseMs: ms(m[1], 60000) };
+  if ((m = new RegExp(`^${num}\\+${num}$`).exec(text)))
+    return {
+      type: "fischer",
+      baseMs: ms(m[1], 60000),
+      incMs: ms(m[2], 1000),
+    };
+  if ((m = new RegExp(`^${num} min \\+ (\\d+)×${num}s$`).exec(text)))
+    return {
+      type: "byoyomi",
+      baseMs: ms(m[1], 60000),
+      periodMs: ms(m[3], 1000),
+      periods: Number(m[2]),
+    };
+  return NO_CLOCK;
+}
@@ -0,0 +1,63 @@
+// src/editor.js
+// Board editor operations. Boards in, new boards out; nothing is mutated.
+import {
+  DEFAULT_RULES,
+  N,
+  cloneBoard,
+  countBlocks,
+  crossingVictory,
+  hasLegalMoves,
+  maxBlocks,
+} from "./engine.js";
+
+export const emptyBoard = (size = N) =>
+  Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+
+function withStack(board, r, c, stack) {
+  const b = board.slice();
+  b[r] = board[r].slice();
+  b[r][c] = stack;
+  return b;
+}
+
+/** Add a `color` block on top of (r, c), if the board has room (maxBlocks). */
+export const pushBlock = (board, r, c, color) =>
+  countBlocks(board) >= maxBlocks(board.length)
+    ? board
+    : withStack(board, r, c, [...board[r][c], color]);
+
+/** Remove the top block of (r, c). */
+export const popBlock = (board, r, c) =>
+  withStack(board, r, c, board[r][c].slice(0, -1));
+
+export const clearSquare = (board, r, c) => withStack(board, r, c, []);
+
+/** Reflect top ↔ bottom (first rank ↔ last rank). */
+export const mirrorRanks = (board) => cloneBoard(board).reverse();
+
+/** Reflect left ↔ right (first file ↔ last file). */
+export const mirrorFiles = (board) =>
+  cloneBoard(board).map((row) => row.reverse());
+
+/** Every Red block becomes Blue and vice versa. */
+export const swapColors = (board) =>
+  board.map((row) =>
+    row.map((stack) => stack.map((b) => (b === "R" ? "B" : "R")))
+  );
+
+/**
+ * Why a position is already decided, as a list of messages (empty if it
+ * isn't): a side has already crossed, or the side to move is locked out.
+ */
+export function positionWarnings(board, toMove, rules = DEFAULT_RULES) {
+  const name = (c) => (c === "R" ? "Red" : "Blue");
+  const out = [];
+  const crossed = crossingVictory(board);
+  if (crossed)
+    out.push(
+      `${name(crossed)} already tops a square on its goal row (Crossing).`
+    );
+  else if (!hasLegalMoves(board, toMove, rules))
+    out.push(`${name(toMove)} has no legal moves (Lockout).`);
+  return out;
+}
@@ -0,0 +1,604 @@
+// src/engine.js
+// Headless TURRIM rules: no React, no DOM. Safe to import from Node scripts.
+
+/* ================== Core game constants & helpers ================== */
+// Standard board size (a rule set may choose another; see RULE_PRESETS)
+export const N = 8;
+export const DIRS = [
+  { name: "Up", d: [-1, 0], key: "ArrowUp" },
+  { name: "Down", d: [1, 0], key: "ArrowDown" },
+  { name: "Left", d: [0, -1], key: "ArrowLeft" },
+  { name: "Right", d: [0, 1], key: "ArrowRight" },
+];
+export const COLORS = ["R", "B"];
+// Number of A↔B pairs with the same piece that loses by repetition
+export const REPETITION_LIMIT = 3;
+
+/* ================== Rule sets ================== */
+// size:            board is size × size; each side starts on half of it
+// stepDownMax:     a step-down may drop 1..stepDownMax levels
+// crossMin/Max:    Cross needs the mover to be this much taller
+// climb:           allow +1 climbs onto your own colour
+// repetitionLimit: A↔B pairs with the same piece that lose
+// drawRepeats:     a position (board and side to move) reached this often is
+//                  a draw; 0, the standard, turns the rule off
+// moveLimit:       this many plies without a Cross or a new tallest stack is
+//                  a draw; 0, the standard, turns the rule off
+// The search does not score these draws, so they are off unless chosen.
+export const DEFAULT_RULES = Object.freeze({
+  size: N,
+  stepDownMax: 2,
+  crossMin: 1,
+  crossMax: 2,
+  climb: false,
+  repetitionLimit: REPETITION_LIMIT,
+  drawRepeats: 0,
+  moveLimit: 0,
+});
+
+export const RULE_PRESETS = [
+  { id: "standard", name: "Standard 8×8", rules: DEFAULT_RULES },
+  {
+    id: "quick6",
+    name: "Quick 6×6",
+    rules: { ...DEFAULT_RULES, size: 6 },
+  },
+  {
+    id: "large10",
+    name: "Large 10×10",
+    rules: { ...DEFAULT_RULES, size: 10 },
+  },
+  {
+    id: "climb",
+    name: "Climbing (+1)",
+    rules: { ...DEFAULT_RULES, climb: true },
+  },
+  {
+    id: "strict",
+    name: "Strict repetition",
+    rules: { ...DEFAULT_RULES, repetitionLimit: 2 },
+  },
+];
+
+export const MAX_SIZE = 12;
+
+// Most blocks a board may hold: one per square, as many as a game starts
+// with. Moves never add blocks, so no stack grows past this either; the
+// packed search board and the Zobrist keys are sized by it.
+export const maxBlocks = (size = N) => size * size;
+export const countBlocks = (board) =>
+  board.reduce((n, row) => row.reduce((m, stack) => m + stack.length, n), 0);
+
+/** Complete, checked, frozen rule set from a partial one. Throws on bad values. */
+export function makeRules(partial = {}) {
+  const rules = { ...DEFAULT_RULES, ...partial };
+  const int = (k, lo, hi) => {
+    if (!Number.isInteger(rules[k]) || rules[k] < lo || rules[k] > hi)
+      throw new Error(`Rule ${k} must be a whole number from ${lo} to ${hi}`);
+  };
+  int("size", 4, MAX_SIZE);
+  if (rules.size % 2) throw new Error("Rule size must be even");
+  int("stepDownMax", 1, 4);
+  int("crossMin", 1, 4);
+  int("crossMax", rules.crossMin, 4);
+  int("repetitionLimit", 2, 5);
+  int("drawRepeats", 0, 5);
+  if (rules.drawRepeats === 1)
+    throw new Error("Rule drawRepeats must be 0 (off) or from 2 to 5");
+  int("moveLimit", 0, 1000);
+  if (rules.moveLimit && rules.moveLimit < 10)
+    throw new Error("Rule moveLimit must be 0 (off) or from 10 to 1000");
+  rules.climb = !!rules.climb;
+  return Object.freeze(rules);
+}
+
+export const sameRules = (a, b) =>
+  Object.keys(DEFAULT_RULES).every((k) => a[k] === b[k]);
+
+export function makeInitialBoard(rules = DEFAULT_RULES) {
+  const { size } = rules;
+  const board = Array.from({ length: size }, () =>
+    Array.from({ length: size }, () => [])
+  );
+  for (let r = 0; r < size / 2; r++) {
+    for (let c = 0; c < size; c++) {
+      board[r][c] = ["R"];
+      board[size - 1 - r][c] = ["B"];
+    }
+  }
+  return board;
+}
+// Board size is the board's own; bounds checks take it from there
+export const inBounds = (r, c, size = N) =>
+  r >= 0 && r < size && c >= 0 && c < size;
+export const height = (b, r, c) => b[r][c].length;
+export const topColor = (b, r, c) =>
+  b[r][c].length ? b[r][c][b[r][c].length - 1] : null;
+export const forwardDir = (color) => (color === "R" ? 1 : -1);
+export const opponent = (color) => (color === "R" ? "B" : "R");
+export const sqKey = (r, c) => `${r},${c}`;
+export const moveKey = (m) =>
+  `${sqKey(m.src[0], m.src[1])}->${sqKey(m.dst[0], m.dst[1])}`;
+export const cloneBoard = (board) =>
+  board.map((row) => row.map((stack) => [...stack]));
+
+/** Rules (standard values; a rule set changes the numbers):
+ * - Backward: step-down only (no across, no climb).
+ * - Empty: you may step-down only to empty by −1 or −2 height.
+ * - Own colour: Across (equal height), or a −1/−2 step-down. No +1 climb
+ *   unless the rule set allows it.
+ * - Opponent: Cross only if you are strictly taller by 1–2 (destination lower).
+ * - Orthogonal only; only top block moves; origin shrinks, destination grows.
+ */
+export function moveKind(board, color, src, dst, rules = DEFAULT_RULES) {
+  const [sr, sc] = src,
+    [dr, dc] = dst;
+  const size = board.length;
+  if (!inBounds(sr, sc, size) || !inBounds(dr, dc, size)) return null;
+  if (Math.abs(sr - dr) + Math.abs(sc - dc) !== 1) return null;
+  if (height(board, sr, sc) === 0) return null;
+  if (topColor(board, sr, sc) !== color) return null;
+
+  const movingBackward = dr - sr === -forwardDir(color);
+  return classifyMove(
+    color,
+    height(board, sr, sc),
+    height(board, dr, dc),
+    topColor(board, dr, dc),
+    movingBackward,
+    rules
+  );
+}
+
+// The rules proper, on plain values (shared with the fast move counter and
+// the packed search board)
+export function classifyMove(color, hSrc, hDst, topDst, movingBackward, rules) {
+  const delta = hDst - hSrc; // >0 climb, 0 across, <0 step-down
+  if (movingBackward && delta >= 0) return null; // backward only step-down
+
+  // Opponent: Cross only when the mover is taller by the cross margin
+  if (topDst && topDst !== color) {
+    return -delta >= rules.crossMin && -delta <= rules.crossMax
+      ? "Cross"
+      : null;
+  }
+
+  // Step-down (empty or own colour) by 1..stepDownMax
+  if (delta < 0 && -delta <= rules.stepDownMax) return "StepDown";
+
+  // Cannot move onto empty if not stepping down
+  if (!topDst) return null;
+
+  // Own colour: equal height (Across), or +1 where climbing is allowed
+  if (delta === 0) return "Across";
+  if (delta === 1 && rules.climb) return "Climb";
+  return null;
+}
+
+/** Flat per-square heights and top colours, indexed r * size + c. */
+export function boardSummary(board) {
+  const size = board.length;
+  const hs = new Array(size * size);
+  const tops = new Array(size * size);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const stack = board[r][c];
+      hs[r * size + c] = stack.length;
+      tops[r * size + c] = stack.length ? stack[stack.length - 1] : null;
+    }
+  }
+  return { hs, tops };
+}
+
+// Same result as calling moveKind for every square and direction, but reads
+// each stack once instead of once per neighbour.
+export function legalMoves(
+  board,
+  color,
+  rules = DEFAULT_RULES,
+  summary = boardSummary(board)
+) {
+  const { hs, tops } = summary;
+  const size = board.length;
+  const back = -forwardDir(color);
+  const moves = [];
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const i = r * size + c;
+      if (tops[i] !== color) continue;
+      for (const { d } of DIRS) {
+        const dr = r + d[0],
+          dc = c + d[1];
+        if (!inBounds(dr, dc, size)) continue;
+        const j = dr * size + dc;
+        const kind = classifyMove(
+          color,
+          hs[i],
+          hs[j],
+          tops[j],
+          d[0] === back,
+          rules
+        );
+        if (kind) moves.push({ src: [r, c], dst: [dr, dc], kind });
+      }
+    }
+  }
+  return moves;
+}
+
+/** Number of legal moves, without building the move list. */
+export function countLegalMoves(
+  board,
+  color,
+  rules = DEFAULT_RULES,
+  summary = boardSummary(board)
+) {
+  const { hs, tops } = summary;
+  const size = board.length;
+  const back = -forwardDir(color);
+  let n = 0;
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      const i = r * size + c;
+      if (tops[i] !== color) continue;
+      for (const { d } of DIRS) {
+        const dr = r + d[0],
+          dc = c + d[1];
+        if (!inBounds(dr, dc, size)) continue;
+        const j = dr * size + dc;
+        if (classifyMove(color, hs[i], hs[j], tops[j], d[0] === back, rules))
+          n++;
+      }
+    }
+  }
+  return n;
+}
+
+// Boards are never mutated in place, so the new board shares every row and
+// stack the move doesn't touch; only the two changed stacks are copied.
+export const applyMove = (board, move) => {
+  const [sr, sc] = move.src,
+    [dr, dc] = move.dst;
+  const b = board.slice();
+  b[sr] = board[sr].slice();
+  if (dr !== sr) b[dr] = board[dr].slice();
+  const src = board[sr][sc];
+  b[sr][sc] = src.slice(0, -1);
+  b[dr][dc] = [...board[dr][dc], src[src.length - 1]];
+  return b;
+};
+
+// Red's goal is the last row, Blue's the first
+export function crossingVictory(board) {
+  const last = board.length - 1;
+  for (let c = 0; c < board.length; c++) {
+    if (topColor(board, last, c) === "R") return "R";
+    if (topColor(board, 0, c) === "B") return "B";
+  }
+  return null;
+}
+/**
+ * Crossing winner caused by `move` (`board` is the position after it). Only
+ * the two squares the move touched can change, so this is enough when the
+ * position before the move had no winner.
+ */
+export function crossingAfterMove(board, move) {
+  for (const [r, c] of [move.dst, move.src]) {
+    const top = topColor(board, r, c);
+    if (r === board.length - 1 && top === "R") return "R";
+    if (r === 0 && top === "B") return "B";
+  }
+  return null;
+}
+export const hasLegalMoves = (board, color, rules = DEFAULT_RULES) =>
+  legalMoves(board, color, rules).length > 0;
+
+/* ================== Repetition (bounce) tracking ================== */
+// Per-player pair counting between two squares
+export const initialBounce = () => ({
+  R: { endpoints: null, lastDir: null, pairs: 0 },
+  B: { endpoints: null, lastDir: null, pairs: 0 },
+});
+
+/** Bounce state after `mover` plays src → dst. */
+export function nextBounce(bounce, mover, src, dst) {
+  const a = sqKey(src[0], src[1]);
+  const b = sqKey(dst[0], dst[1]);
+  const dir = a < b ? 1 : -1; // consistent direction flag
+  const ep = dir === 1 ? `${a}|${b}` : `${b}|${a}`;
+  const cur = bounce[mover];
+
+  // new squares: start tracking
+  if (cur.endpoints !== ep) {
+    return { ...bounce, [mover]: { endpoints: ep, lastDir: dir, pairs: 0 } };
+  }
+  // same two squares as before
+  const pairs =
+    cur.lastDir != null && cur.lastDir !== dir ? cur.pairs + 1 : cur.pairs;
+  return { ...bounce, [mover]: { endpoints: ep, lastDir: dir, pairs } };
+}
+
+/* ================== Draw tracking ================== */
+// Repeated positions are the same board with the same side to move; bounce
+// state is left out, or a position could never repeat.
+const positionKey = (board, toMove) =>
+  `${board
+    .map((row) => row.map((s) => s.join("")).join(","))
+    .join("/")} ${toMove}`;
+
+// Progress resets the move limit: a Cross, or a stack taller than any the
+// game has had. A block stepped forward and back again is neither.
+const isProgress = (kind, height, tallest) =>
+  kind === "Cross" || height > tallest;
+
+const tallestStack = (board) =>
+  Math.max(...board.map((row) => Math.max(...row.map((s) => s.length))));
+
+// Positions of a game, shared by the states along it: keys[i] is the position
+// at index i and counts holds how often each key appears. The last state of
+// a log appends to it; a second move from an earlier state (after an undo,
+// or a search trying moves) copies the log up to that state instead.
+function positionLog(keys) {
+  const log = { keys: [], counts: new Map() };
+  for (const key of keys) logPosition(log, key);
+  return log;
+}
+
+// Appends `key`; returns how often it has now been reached
+function logPosition(log, key) {
+  log.keys.push(key);
+  const n = (log.counts.get(key) || 0) + 1;
+  log.counts.set(key, n);
+  return n;
+}
+
+/* ================== GameState ================== */
+function freezeBoard(board) {
+  for (const row of board) {
+    for (const stack of row) Object.freeze(stack);
+    Object.freeze(row);
+  }
+  return Object.freeze(board);
+}
+
+function freezeBounce(bounce) {
+  return Object.freeze({
+    R: Object.freeze({ ...bounce.R }),
+    B: Object.freeze({ ...bounce.B }),
+  });
+}
+
+// Results the players decide rather than the board: { mode: "Resignation" |
+// "Timeout", winner } or a draw by agreement. Throws on anything else.
+function ending(result) {
+  const { mode, winner, reason } = result || {};
+  if (mode === "Draw" && reason === "Agreement")
+    return Object.freeze({ mode, winner: null, reason });
+  if ((mode === "Resignation" || mode === "Timeout") && COLORS.includes(winner))
+    return Object.freeze({ mode, winner });
+  throw new Error(`Not a result the players can end a game with: ${mode}`);
+}
+
+// Internal constructor: assumes `board` is already a private copy and
+// `rules` came from makeRules. This position is entry `index` of `log`, and
+// has been reached `repeats` times.
+function makeState({
+  board,
+  toMove,
+  bounce,
+  repWin,
+  rules,
+  log,
+  index,
+  repeats,
+  quiet,
+  tallest,
+  ended,
+}) {
+  let moves = null;
+  let res;
+
+  // { log, index, repeats } of the position after this one
+  const logNext = (nextBoard, next) => {
+    const shared =
+      log.keys.length === index + 1
+        ? log
+        : positionLog(log.keys.slice(0, index + 1));
+    const n = logPosition(shared, positionKey(nextBoard, next));
+    return { log: shared, index: index + 1, repeats: n };
+  };
+
+  const state = {
+    board: freezeBoard(board),
+    toMove,
+    bounce: freezeBounce(bounce),
+    repWin,
+    rules,
+    /** Times this position has been reached in the game, this time included. */
+    repeats,
+    /** Plies since the last Cross or new tallest stack. */
+    quiet,
+    /** Height of the tallest stack the game has had. */
+    tallest,
+    /** Result the players ended the game with here (see end), or null. */
+    ended,
+
+    /** Legal moves for the side to move (empty once the game is over). */
+    legalMoves() {
+      if (moves === null) {
+        moves = state.result() ? [] : legalMoves(state.board, toMove, rules);
+      }
+      return moves;
+    },
+
+    /**
+     * { mode: "Repetition" | "Crossing" | "Lockout", winner } or null. A draw
+     * is { mode: "Draw", winner: null, reason }, the reason being
+     * "Repetition" (drawRepeats), "MoveLimit" or "Agreement". A game ended
+     * by the players has their result.
+     */
+    result() {
+      if (res === undefined) {
+        const draw = (reason) => ({ mode: "Draw", winner: null, reason });
+        if (ended) res = ended;
+        else if (repWin) res = { mode: "Repetition", winner: repWin };
+        else {
+          const cross = crossingVictory(state.board);
+          if (cross) res = { mode: "Crossing", winner: cross };
+          else if (!hasLegalMoves(state.board, toMove, rules))
+            res = { mode: "Lockout", winner: opponent(toMove) };
+          else if (rules.drawRepeats && state.repeats >= rules.drawRepeats)
+            res = draw("Repetition");
+          else if (rules.moveLimit && quiet >= rules.moveLimit)
+            res = draw("MoveLimit");
+          else res = null;
+        }
+        if (res) Object.freeze(res);
+      }
+      return res;
+    },
+
+    /** New state after the side to move plays `move` ({ src, dst }). */
+    play(move) {
+      if (state.result()) throw new Error("Game is already over");
+      const kind = moveKind(state.board, toMove, move.src, move.dst, rules);
+      if (!kind) throw new Error(`Illegal move ${moveKey(move)}`);
+      const nb = nextBounce(state.bounce, toMove, move.src, move.dst);
+      const lost = nb[toMove].pairs >= rules.repetitionLimit;
+      const next = applyMove(state.board, move);
+      const h = height(next, move.dst[0], move.dst[1]);
+      return makeState({
+        board: next,
+        toMove: opponent(toMove),
+        bounce: nb,
+        repWin: lost ? opponent(toMove) : null,
+        rules,
+        ...logNext(next, opponent(toMove)),
+        quiet: isProgress(kind, h, tallest) ? 0 : quiet + 1,
+        tallest: Math.max(tallest, h),
+        ended: null,
+      });
+    },
+
+    /** Same position with the other side to move (hot-seat testing aid). */
+    swapTurn() {
+      return makeState({
+        board: cloneBoard(state.board),
+        toMove: opponent(toMove),
+        bounce: state.bounce,
+        repWin,
+        rules,
+        ...logNext(state.board, opponent(toMove)),
+        quiet: quiet + 1,
+        tallest,
+        ended: null,
+      });
+    },
+
+    /**
+     * Same position, ended by the players with `result`: a resignation, a
+     * timeout or a draw by agreement.
+     */
+    end(result) {
+      if (state.result()) throw new Error("Game is already over");
+      return makeState({
+        board: cloneBoard(state.board),
+        toMove,
+        bounce: state.bounce,
+        repWin,
+        rules,
+        log,
+        index,
+        repeats,
+        quiet,
+        tallest,
+        ended: ending(result),
+      });
+    },
+
+    /** Same position, drawn by agreement. */
+    agreeDraw() {
+      return state.end({ mode: "Draw", winner: null, reason: "Agreement" });
+    },
+
+    toJSON() {
+      return {
+        board: state.board,
+        toMove,
+        bounce: state.bounce,
+        repWin,
+        rules,
+        history: log.keys.slice(0, index),
+        quiet,
+        tallest,
+        ended,
+      };
+    },
+  };
+  return Object.freeze(state);
+}
+
+/**
+ * Fresh game, or a game from an arbitrary position. Inputs are copied.
+ * `rules` may be partial (see makeRules); the board defaults to its start.
+ * `history` (the position keys before this one, as in toJSON), `quiet` and
+ * `tallest` carry the draw counts of a game restored part-way; a position
+ * string starts them afresh. `ended` is a result the players ended it with.
+ */
+export function createGame({
+  rules: partialRules,
+  board,
+  toMove = "R",
+  bounce = initialBounce(),
+  repWin = null,
+  history = [],
+  quiet = 0,
+  tallest = 0,
+  ended = null,
+} = {}) {
+  const rules = makeRules(partialRules);
+  const b = board || makeInitialBoard(rules);
+  if (b.length !== rules.size)
+    throw new Error(
+      `Board is ${b.length}×${b.length}, rules say ${rules.size}`
+    );
+  if (countBlocks(b) > maxBlocks(rules.size))
+    throw new Error(
+      `Board has more than ${maxBlocks(rules.size)} blocks (one per square)`
+    );
+  const log = positionLog(history);
+  const repeats = logPosition(log, positionKey(b, toMove));
+  return makeState({
+    board: cloneBoard(b),
+    toMove,
+    bounce,
+    repWin,
+    rules,
+    log,
+    index: history.length,
+    repeats,
+    quiet,
+    tallest: Math.max(tallest, tallestStack(b)),
+    ended: ended && ending(ended),
+  });
+}
+
+/** Inverse of `JSON.stringify(state)`. Accepts a string or parsed object. */
+export function restoreGame(data) {
+  const obj = typeof data === "string" ? JSON.parse(data) : data;
+  if (!obj || !Array.isArray(obj.board))
+    throw new Error("Saved game has no valid board");
+  if (!COLORS.includes(obj.toMove))
+    throw new Error(`Saved game has invalid side to move: ${obj.toMove}`);
+  return createGame({
+    board: obj.board,
+    toMove: obj.toMove,
+    bounce: obj.bounce || initialBounce(),
+    repWin: COLORS.includes(obj.repWin) ? obj.repWin : null,
+    rules: obj.rules || { size: obj.board.length },
+    history: Array.isArray(obj.history) ? obj.history.map(String) : [],
+    quiet: Number.isInteger(obj.quiet) ? obj.quiet : 0,
+    tallest: Number.isInteger(obj.tallest) ? obj.tallest : 0,
+    ended: obj.ended || null,
+  });
+}
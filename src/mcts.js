@@ -0,0 +1,199 @@
+// src/mcts.js
+// Monte Carlo Tree Search player (UCT). Unlike the minimax levels it uses no
+// evaluation function: moves are judged by playing games out to the end.
+import {
+  DEFAULT_RULES,
+  applyMove,
+  crossingAfterMove,
+  crossingVictory,
+  forwardDir,
+  initialBounce,
+  legalMoves,
+  nextBounce,
+  opponent,
+} from "./engine.js";
+
+/* ================== Playout policies ================== */
+// A policy picks the next playout move:
+// (board, color, moves, bounce, rng, rules). `moves` is never empty.
+export const PLAYOUTS = {
+  // Uniformly random legal move
+  random: (board, color, moves, bounce, rng) =>
+    moves[Math.floor(rng() * moves.length)],
+
+  // Take a Crossing win when there is one, never lose by repetition, and
+  // otherwise prefer captures and forward moves
+  heavy: (board, color, moves, bounce, rng, rules) => {
+    const fwd = forwardDir(color);
+    const goal = color === "R" ? board.length - 1 : 0;
+    const limit = rules.repetitionLimit;
+    // Only a side already one pair short can lose by repetition
+    const atRisk = bounce && bounce[color].pairs >= limit - 1;
+    let total = 0;
+    const weights = [];
+    for (const m of moves) {
+      if (m.dst[0] === goal) return m; // the moved block tops the goal square
+      let w = 1;
+      if (m.kind === "Cross") w += 4;
+      if (m.dst[0] - m.src[0] === fwd) w += 2;
+      if (
+        atRisk &&
+        nextBounce(bounce, color, m.src, m.dst)[color].pairs >= limit
+      )
+        w = 0;
+      weights.push(w);
+      total += w;
+    }
+    if (!total) return moves[Math.floor(rng() * moves.length)];
+    let x = rng() * total;
+    for (let i = 0; i < moves.length; i++) {
+      x -= weights[i];
+      if (x < 0) return moves[i];
+    }
+    return moves[moves.length - 1];
+  },
+};
+
+/* ================== Search ================== */
+// Winner after `mover` played `m`, or null. Same order as GameState.result().
+function winnerAfter(board, mover, m, bounce, rules) {
+  if (bounce[mover].pairs >= rules.repetitionLimit) return opponent(mover);
+  return crossingAfterMove(board, m);
+}
+
+function makeNode(parent, move, mover, board, bounce, winner, rules) {
+  const toMove = opponent(mover);
+  let untried = [];
+  if (!winner) {
+    untried = legalMoves(board, toMove, rules);
+    if (!untried.length) winner = mover; // Lockout
+  }
+  return {
+    parent,
+    move,
+    mover, // the side that played `move`
+    board,
+    bounce,
+    winner,
+    untried,
+    children: [],
+    visits: 0,
+    wins: 0, // from `mover`'s point of view; a draw counts ½
+  };
+}
+
+// Play on from a node's position; returns the winner or null (length cap)
+function playout(node, policy, maxPlies, rng, rules) {
+  if (node.winner) return node.winner;
+  let { board, bounce } = node;
+  let color = opponent(node.mover);
+  for (let ply = 0; ply < maxPlies; ply++) {
+    const moves = legalMoves(board, color, rules);
+    if (!moves.length) return opponent(color);
+    const m = policy(board, color, moves, bounce, rng, rules);
+    board = applyMove(board, m);
+    bounce = nextBounce(bounce, color, m.src, m.dst);
+    const won = winnerAfter(board, color, m, bounce, rules);
+    if (won) return won;
+    color = opponent(color);
+  }
+  return null;
+}
+
+function uctChild(node, exploration) {
+  const logN = Math.log(node.visits);
+  let best = null;
+  let bestValue = -Infinity;
+  for (const child of node.children) {
+    const value =
+      child.wins / child.visits + exploration * Math.sqrt(logN / child.visits);
+    if (value > bestValue) {
+      bestValue = value;
+      best = child;
+    }
+  }
+  return best;
+}
+
+/**
+ * Best move for `color` by UCT, or null if there is none.
+ * Stops after `iterations` playouts or `timeMs` milliseconds, whichever is
+ * given (and comes first); with neither it runs 5000 iterations.
+ * options: { iterations, timeMs, playout: "heavy" | "random" | function,
+ *            exploration, maxPlies, bounce, rules, rng }
+ */
+export function searchMcts(
+  board,
+  color,
+  {
+    iterations,
+    timeMs,
+    playout: policy = "heavy",
+    exploration = Math.SQRT2,
+    maxPlies = 200,
+    bounce,
+    rules = DEFAULT_RULES,
+    rng = Math.random,
+  } = {}
+) {
+  if (crossingVictory(board)) return null;
+  const start = bounce || initialBounce();
+  const root = makeNode(null, null, opponent(color), board, start, null, rules);
+  if (!root.untried.length) return null;
+  if (root.untried.length === 1) return root.untried[0];
+
+  const play = typeof policy === "function" ? policy : PLAYOUTS[policy];
+  if (!play) throw new Error(`Unknown playout policy: ${policy}`);
+  const limit = iterations ?? (timeMs == null ? 5000 : Infinity);
+  const deadline = timeMs == null ? Infinity : Date.now() + timeMs;
+
+  for (let i = 0; i < limit; i++) {
+    if (i % 64 === 0 && Date.now() > deadline) break;
+
+    // Selection
+    let node = root;
+    while (!node.winner && !node.untried.length)
+      node = uctChild(node, exploration);
+
+    // Expansion
+    if (!node.winner) {
+      const k = Math.floor(rng() * node.untried.length);
+      const m = node.untried[k];
+      node.untried[k] = node.untried[node.untried.length - 1];
+      node.untried.pop();
+      const mover = opponent(node.mover);
+      const nb = applyMove(node.board, m);
+      const bounceAfter = nextBounce(node.bounce, mover, m.src, m.dst);
+      const child = makeNode(
+        node,
+        m,
+        mover,
+        nb,
+        bounceAfter,
+        winnerAfter(nb, mover, m, bounceAfter, rules),
+        rules
+      );
+      node.children.push(child);
+      // A winning move decides the position it is played from
+      if (child.winner === mover) {
+        if (node === root) return m;
+        node.winner = mover;
+      }
+      node = child;
+    }
+
+    // Simulation and backpropagation
+    const winner = playout(node, play, maxPlies, rng, rules);
+    for (let n = node; n; n = n.parent) {
+      n.visits++;
+      if (!winner) n.wins += 0.5;
+      else if (winner === n.mover) n.wins++;
+    }
+  }
+
+  let best = null;
+  for (const child of root.children) {
+    if (!best || child.visits > best.visits) best = child;
+  }
+  return best ? best.move : root.untried[0];
+}
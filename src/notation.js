@@ -0,0 +1,366 @@
+// src/notation.js
+// Move notation and game records.
+//
+// Squares use the side-panel labels: files A–H left to right, ranks 8 down
+// to 1 from Red's home row (board row 0 = rank 8). Other board sizes work
+// the same way: on 6×6, files A–F and ranks 6 → 1.
+//
+// A move is "<src>-<dst>" plus a kind suffix:
+//   D5-D4    Across
+//   D5-D4v   StepDown
+//   D5-D4x   Cross
+//   D5-D4^   Climb (rule sets that allow it)
+// The suffix is optional when reading; if present it must match the rules.
+// "--" is a pass (the hot-seat "Swap turn" button).
+//
+// A game record is a header block followed by numbered move text:
+//   [Game "TURRIM"]
+//   [Red "Human"]
+//   [Blue "Computer"]
+//   [Mode "AI"]
+//   [AILevel "MINIMAX3"]
+//   [Date "2026.01.31"]
+//   [Result "1-0"]               (0-1 Blue wins, 1/2-1/2 a draw)
+//   [Termination "Crossing"]
+//
+//   1. C5-C4 C4-C5 2. ...  1-0
+// A record that does not start from the initial position carries a
+// [Position "..."] header (see below).
+//
+// A position string is four or five space-separated fields:
+//   <ranks> <side to move> <Red bounce> <Blue bounce> [<rules>]
+// Ranks run 8 → 1, separated by "/"; squares run A → H, separated by ",".
+// A square is its stack bottom → top ("RRB"), and a run of empty squares is
+// its length ("3"). Bounce is "-" or "<sq><sq><+|-><pairs>", e.g. "D4D5+2".
+// The board size is the number of ranks. The rules field is left out for
+// the standard rules; otherwise it is e.g. "d2,x1-2,r3,climb": step-down
+// range, cross margin, repetition limit and whether +1 climbs are allowed,
+// then "p<n>" for a draw when a position is reached n times and "m<n>" for a
+// draw after n plies without progress. Draw counts are not part of a
+// position string; they start afresh from it.
+import {
+  COLORS,
+  DEFAULT_RULES,
+  N,
+  createGame,
+  initialBounce,
+  makeRules,
+  moveKind,
+  opponent,
+  sqKey,
+} from "./engine.js";
+
+const KIND_SUFFIX = { Across: "", StepDown: "v", Cross: "x", Climb: "^" };
+// Move kinds as shown to players
+export const KIND_NAMES = {
+  Across: "Across",
+  StepDown: "Step-Down",
+  Cross: "Cross",
+  Climb: "Climb",
+};
+const SUFFIX_KIND = { "": "Across", v: "StepDown", x: "Cross", "^": "Climb" };
+const RESULT_TOKENS = ["1-0", "0-1", "1/2-1/2", "*"];
+
+export const squareName = (r, c, size = N) =>
+  `${String.fromCharCode(65 + c)}${size - r}`;
+
+/** "D5" → [r, c], or null if it is not a square on a `size` board. */
+export function parseSquare(text, size = N) {
+  const m = /^([A-Za-z])(\d+)$/.exec(text.trim());
+  if (!m) return null;
+  const c = m[1].toUpperCase().charCodeAt(0) - 65;
+  const r = size - parseInt(m[2], 10);
+  if (r < 0 || r >= size || c < 0 || c >= size) return null;
+  return [r, c];
+}
+
+export const PASS = "--";
+
+export const moveToText = (move, size = N) =>
+  !move
+    ? PASS
+    : `${squareName(move.src[0], move.src[1], size)}-${squareName(
+        move.dst[0],
+        move.dst[1],
+        size
+      )}${KIND_SUFFIX[move.kind] || ""}`;
+
+/** "D5-D4x" → { src, dst, kind? }, or null if it is not move notation. */
+export function parseMoveText(text, size = N) {
+  const m = /^([A-Za-z]\d+)-([A-Za-z]\d+)([vx^]?)$/i.exec(text.trim());
+  if (!m) return null;
+  const src = parseSquare(m[1], size);
+  const dst = parseSquare(m[2], size);
+  if (!src || !dst) return null;
+  const move = { src, dst };
+  if (m[3]) move.kind = SUFFIX_KIND[m[3].toLowerCase()];
+  return move;
+}
+
+/* ================== Position strings ================== */
+function bounceToText(b, size) {
+  if (!b.endpoints) return "-";
+  const squares = b.endpoints
+    .split("|")
+    .map((k) => squareName(...k.split(",").map(Number), size))
+    .join("");
+  return `${squares}${b.lastDir === -1 ? "-" : "+"}${b.pairs}`;
+}
+
+function parseBounce(text, who, size) {
+  if (text === "-") return { endpoints: null, lastDir: null, pairs: 0 };
+  const m = /^([A-Z]\d+)([A-Z]\d+)([+-])(\d+)$/i.exec(text);
+  const a = m && parseSquare(m[1], size);
+  const b = m && parseSquare(m[2], size);
+  if (!a || !b) throw new Error(`Invalid ${who} bounce field: "${text}"`);
+  return {
+    endpoints: [sqKey(...a), sqKey(...b)].sort().join("|"),
+    lastDir: m[3] === "-" ? -1 : 1,
+    pairs: parseInt(m[4], 10),
+  };
+}
+
+/** Rules field of a position string, or null for the standard rules. */
+export function rulesToText(rules) {
+  const { stepDownMax, crossMin, crossMax, repetitionLimit, climb } = rules;
+  const { drawRepeats, moveLimit } = rules;
+  const d = DEFAULT_RULES;
+  if (
+    stepDownMax === d.stepDownMax &&
+    crossMin === d.crossMin &&
+    crossMax === d.crossMax &&
+    repetitionLimit === d.repetitionLimit &&
+    climb === d.climb &&
+    drawRepeats === d.drawRepeats &&
+    moveLimit === d.moveLimit
+  )
+    return null;
+  const parts = [
+    `d${stepDownMax}`,
+    `x${crossMin}-${crossMax}`,
+    `r${repetitionLimit}`,
+  ];
+  if (climb) parts.push("climb");
+  if (drawRepeats) parts.push(`p${drawRepeats}`);
+  if (moveLimit) parts.push(`m${moveLimit}`);
+  return parts.join(",");
+}
+
+/** Rules field (see rulesToText) → rules for a `size` board. Throws. */
+export function parseRules(text, size) {
+  const rules = { size };
+  for (const tok of text.split(",")) {
+    let m;
+    if ((m = /^d(\d+)$/.exec(tok))) rules.stepDownMax = Number(m[1]);
+    else if ((m = /^x(\d+)-(\d+)$/.exec(tok))) {
+      rules.crossMin = Number(m[1]);
+      rules.crossMax = Number(m[2]);
+    } else if ((m = /^r(\d+)$/.exec(tok))) rules.repetitionLimit = Number(m[1]);
+    else if (tok === "climb") rules.climb = true;
+    else if ((m = /^p(\d+)$/.exec(tok))) rules.drawRepeats = Number(m[1]);
+    else if ((m = /^m(\d+)$/.exec(tok))) rules.moveLimit = Number(m[1]);
+    else throw new Error(`Invalid rules field "${tok}"`);
+  }
+  return makeRules(rules);
+}
+
+/** Position string for a GameState (board, side to move, bounce, rules). */
+export function positionToString(game) {
+  const size = game.board.length;
+  const ranks = game.board.map((row) => {
+    const out = [];
+    let empty = 0;
+    for (const stack of row) {
+      if (!stack.length) {
+        empty++;
+        continue;
+      }
+      if (empty) out.push(String(empty));
+      empty = 0;
+      out.push(stack.join(""));
+    }
+    if (empty) out.push(String(empty));
+    return out.join(",");
+  });
+  const fields = [
+    ranks.join("/"),
+    game.toMove,
+    bounceToText(game.bounce.R, size),
+    bounceToText(game.bounce.B, size),
+  ];
+  const rules = rulesToText(game.rules);
+  if (rules) fields.push(rules);
+  return fields.join(" ");
+}
+
+/** Position string → GameState. Throws an Error describing what is wrong. */
+export function parsePosition(text) {
+  const fields = String(text).trim().split(/\s+/);
+  if (fields.length < 2 || fields.length > 5)
+    throw new Error(
+      `Expected 2–5 space-separated fields, found ${fields.length}`
+    );
+  const [boardText, side, redBounce = "-", blueBounce = "-", rulesText] =
+    fields;
+
+  const ranks = boardText.split("/");
+  const size = ranks.length;
+  // Either way makeRules checks the size
+  const rules = rulesText ? parseRules(rulesText, size) : makeRules({ size });
+  const board = ranks.map((rank, r) => {
+    const row = [];
+    for (const tok of rank.split(",")) {
+      if (/^\d+$/.test(tok)) {
+        const n = parseInt(tok, 10);
+        if (n < 1) throw new Error(`Rank ${size - r}: empty run must be ≥ 1`);
+        for (let i = 0; i < n; i++) row.push([]);
+      } else if (/^[RB]+$/.test(tok)) {
+        row.push(tok.split(""));
+      } else {
+        throw new Error(
+          `Rank ${size - r}: invalid square "${tok}" (use R, B or a number)`
+        );
+      }
+    }
+    if (row.length !== size)
+      throw new Error(
+        `Rank ${size - r}: expected ${size} squares, found ${row.length}`
+      );
+    return row;
+  });
+
+  if (!COLORS.includes(side))
+    throw new Error(`Invalid side to move "${side}" (use R or B)`);
+
+  const bounce = initialBounce();
+  bounce.R = parseBounce(redBounce, "Red", size);
+  bounce.B = parseBounce(blueBounce, "Blue", size);
+  // A bounce count at the limit means that side has already lost
+  const loser = COLORS.find((c) => bounce[c].pairs >= rules.repetitionLimit);
+  return createGame({
+    rules,
+    board,
+    toMove: side,
+    bounce,
+    repWin: loser ? opponent(loser) : null,
+  });
+}
+
+export const INITIAL_POSITION = positionToString(createGame());
+
+/* ================== Game records ================== */
+export function resultToken(result) {
+  if (!result) return "*";
+  if (!result.winner) return "1/2-1/2";
+  return result.winner === "R" ? "1-0" : "0-1";
+}
+
+/**
+ * Result a record's headers give that its moves can't: a resignation, a
+ * timeout or an agreed draw (see GameState.end), or null.
+ */
+export function recordEnding({ Result, Termination }) {
+  const winner = { "1-0": "R", "0-1": "B" }[Result];
+  if (Termination === "Agreement" && Result === "1/2-1/2")
+    return { mode: "Draw", winner: null, reason: "Agreement" };
+  if ((Termination === "Resignation" || Termination === "Timeout") && winner)
+    return { mode: Termination, winner };
+  return null;
+}
+
+export const recordDate = (d = new Date()) =>
+  `${d.getFullYear()}.${String(d.getMonth() + 1).padStart(2, "0")}.${String(
+    d.getDate()
+  ).padStart(2, "0")}`;
+
+/**
+ * Game record text.
+ * headers: { Red, Blue, Mode, AILevel, Date, Result, Termination, ... }
+ * moves: [{ src, dst, kind } | null for a pass], on a `size` board
+ */
+export function formatRecord(headers, moves, size = N) {
+  const all = { Game: "TURRIM", ...headers };
+  const lines = Object.entries(all)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `[${k} "${String(v).replace(/"/g, "'")}"]`);
+
+  const body = [];
+  moves.forEach((m, i) => {
+    if (i % 2 === 0) body.push(`${i / 2 + 1}.`);
+    body.push(moveToText(m, size));
+  });
+  body.push(all.Result || "*");
+
+  // wrap move text at ~80 columns
+  const wrapped = [];
+  let line = "";
+  for (const tok of body) {
+    if (line && line.length + tok.length + 1 > 80) {
+      wrapped.push(line);
+      line = tok;
+    } else line = line ? `${line} ${tok}` : tok;
+  }
+  if (line) wrapped.push(line);
+
+  return `${lines.join("\n")}\n\n${wrapped.join("\n")}\n`;
+}
+
+/** Record text → { headers, moves: string[] }. Does not check legality. */
+export function parseRecord(text) {
+  const headers = {};
+  const moves = [];
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    const h = /^\[(\w+)\s+"(.*)"\]$/.exec(line);
+    if (h) {
+      headers[h[1]] = h[2];
+      continue;
+    }
+    for (const tok of line.split(/\s+/)) {
+      if (/^\d+\.$/.test(tok) || RESULT_TOKENS.includes(tok)) continue;
+      moves.push(tok);
+    }
+  }
+  return { headers, moves };
+}
+
+/**
+ * Replay move text from `start` (the initial position by default).
+ * Returns { game, moves, states, error }: `states[i]` is the position before
+ * `moves[i]`; on the first illegal move, `error` is { ply, text, reason } and
+ * `game` is the last legal position.
+ */
+export function replayMoves(moveTexts, start = createGame()) {
+  let game = start;
+  const moves = [];
+  const states = [];
+  for (let i = 0; i < moveTexts.length; i++) {
+    const text = moveTexts[i];
+    const fail = (reason) => ({
+      game,
+      moves,
+      states,
+      error: { ply: i + 1, text, reason },
+    });
+
+    if (game.result()) return fail("game is already over");
+    if (text === PASS) {
+      states.push(game);
+      moves.push(null);
+      game = game.swapTurn();
+      continue;
+    }
+    const mv = parseMoveText(text, game.board.length);
+    if (!mv) return fail("not a move");
+    const kind = moveKind(game.board, game.toMove, mv.src, mv.dst, game.rules);
+    if (!kind) return fail("illegal move");
+    if (mv.kind && mv.kind !== kind)
+      return fail(`move is ${kind}, not ${mv.kind}`);
+
+    states.push(game);
+    moves.push({ src: mv.src, dst: mv.dst, kind });
+    game = game.play(mv);
+  }
+  return { game, moves, states, error: null };
+}
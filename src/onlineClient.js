@@ -0,0 +1,88 @@
+// src/onlineClient.js
+// Browser side of the online relay (server/relay.js). The connection retries
+// on its own and resumes its seat, and the seat is kept in sessionStorage so
+// a page reload can rejoin the same game.
+const SESSION_KEY = "turrim.online";
+
+export const defaultServerUrl = () =>
+  `${window.location.protocol === "https:" ? "wss" : "ws"}://${
+    window.location.hostname || "localhost"
+  }:8787`;
+
+/** { url, room, token } of the last seat taken in this tab, or null. */
+export function savedSeat() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Connects to `url` and keeps reconnecting until close().
+ * onMessage(msg) gets every server message; onStatus(status) gets
+ * "connecting" | "open" | "reconnecting" | "closed".
+ */
+export function createOnlineClient(url, { onMessage, onStatus }) {
+  let socket = null;
+  let seat = null; // { room, token } once joined
+  let queue = []; // messages sent while not connected
+  let retries = 0;
+  let timer = null;
+  let closed = false;
+
+  function connect() {
+    onStatus("connecting");
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      retries = 0;
+      onStatus("open");
+      if (seat) socket.send(JSON.stringify({ type: "resume", ...seat }));
+      for (const msg of queue) socket.send(JSON.stringify(msg));
+      queue = [];
+    };
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "joined") {
+        seat = { room: msg.room, token: msg.token };
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({ url, ...seat }));
+      }
+      onMessage(msg);
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      onStatus("reconnecting");
+      timer = setTimeout(connect, Math.min(10000, 500 * 2 ** retries++));
+    };
+  }
+
+  function send(msg) {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+    else queue.push(msg);
+  }
+
+  connect();
+  return {
+    send,
+    /** Seat to resume after a reload (see savedSeat). */
+    resume(room, token) {
+      seat = { room, token };
+      if (socket?.readyState === WebSocket.OPEN)
+        socket.send(JSON.stringify({ type: "resume", ...seat }));
+    },
+    /** Leave for good: stops reconnecting and forgets the seat. */
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      socket?.close();
+      sessionStorage.removeItem(SESSION_KEY);
+      onStatus("closed");
+    },
+  };
+}
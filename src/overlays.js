@@ -0,0 +1,47 @@
+// src/overlays.js
+// Board highlights shared by the 2D grid and ThreeBoard, besides selection and
+// hints. Everything is keyed by sqKey ("r,c") for quick lookup per square.
+import { DEFAULT_RULES, legalMoves, opponent, sqKey } from "./engine.js";
+
+export const OVERLAYS = [
+  { id: "lastMove", name: "Last move" },
+  { id: "threats", name: "Cross threats" },
+  { id: "danger", name: "Towers near goal" },
+];
+
+/**
+ * What the side not to move threatens next turn, from its legal moves:
+ * `threats` are the `toMove` towers it can Cross onto, `danger` its towers on
+ * the row before its goal row (the row `evaluate` rewards) that can move.
+ */
+export function threatSquares(board, toMove, rules = DEFAULT_RULES) {
+  const them = opponent(toMove);
+  const nearGoal = them === "R" ? board.length - 2 : 1;
+  const threats = new Set();
+  const danger = new Set();
+  for (const m of legalMoves(board, them, rules)) {
+    if (m.kind === "Cross") threats.add(sqKey(...m.dst));
+    if (m.src[0] === nearGoal) danger.add(sqKey(...m.src));
+  }
+  return { threats, danger };
+}
+
+/**
+ * Overlay squares to draw: { lastMove, threats, danger }, each a Set of
+ * sqKeys, empty when that overlay is switched off in `shown`.
+ */
+export function boardOverlays(board, toMove, rules, lastMove, shown) {
+  const none = new Set();
+  const { threats, danger } =
+    shown.threats || shown.danger
+      ? threatSquares(board, toMove, rules)
+      : { threats: none, danger: none };
+  return {
+    lastMove:
+      shown.lastMove && lastMove
+        ? new Set([sqKey(...lastMove.src), sqKey(...lastMove.dst)])
+        : none,
+    threats: shown.threats ? threats : none,
+    danger: shown.danger ? danger : none,
+  };
+}
@@ -0,0 +1,266 @@
+// src/packed.js
+// Packed board for the search. The app, the notation and ThreeBoard keep the
+// engine's board (rows of stacks, bottom → top); the search packs it once
+// and changes the packed copy in place with makeMove / unmakeMove instead of
+// copying a board per node. Squares are indexed i = r * size + c:
+//   hs[i]       stack height
+//   tops[i]     top colour: 0 empty, RED or BLUE
+//   bits        stack contents, `words` 32-bit words per square; bit k is
+//               set when the block at level k is Blue
+//   nbr         neighbour of square i in direction d of DIRS at i * 4 + d
+//               (-1 off the board)
+//   mobility    legal moves per colour code, kept up to date move by move
+//   saved       mobility before each move not yet taken back
+// Mobility depends on the rules, so a packed board carries its own.
+import {
+  DEFAULT_RULES,
+  DIRS,
+  classifyMove,
+  countBlocks,
+  maxBlocks,
+} from "./engine.js";
+
+export const RED = 1;
+export const BLUE = 2;
+export const colorCode = (color) => (color === "R" ? RED : BLUE);
+const COLOR_OF = [null, "R", "B"];
+// Index into DIRS of the way back: Red moves down the board, Blue up
+const BACK = [-1, 0, 1];
+const OPPOSITE = [1, 0, 3, 2];
+
+// Neighbour of each square in each of the DIRS (-1 off the board), per size
+const neighbourTables = new Map();
+function neighbours(size) {
+  let t = neighbourTables.get(size);
+  if (t) return t;
+  t = new Int16Array(size * size * 4);
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      DIRS.forEach(({ d }, k) => {
+        const nr = r + d[0],
+          nc = c + d[1];
+        const inside = nr >= 0 && nr < size && nc >= 0 && nc < size;
+        t[(r * size + c) * 4 + k] = inside ? nr * size + nc : -1;
+      });
+    }
+  }
+  neighbourTables.set(size, t);
+  return t;
+}
+
+function push(p, i, code) {
+  const k = p.hs[i];
+  const w = i * p.words + (k >> 5);
+  if (code === BLUE) p.bits[w] |= 1 << (k & 31);
+  else p.bits[w] &= ~(1 << (k & 31));
+  p.hs[i] = k + 1;
+  p.tops[i] = code;
+}
+
+function pop(p, i) {
+  const k = --p.hs[i];
+  const code = p.tops[i];
+  if (!k) p.tops[i] = 0;
+  else {
+    const bit = (p.bits[i * p.words + ((k - 1) >> 5)] >>> ((k - 1) & 31)) & 1;
+    p.tops[i] = bit ? BLUE : RED;
+  }
+  return code;
+}
+
+// Can the top block of square i move one step in direction d?
+const canMove = (p, i, d) => !!packedKind(p, i * 4 + d);
+
+// Adds `sign` × every legal move into or out of squares s and t, its
+// neighbour. Only those moves change when a block moves from s to t.
+function recount(p, s, t, sign) {
+  const { nbr, tops, mobility } = p;
+  for (let q = s, pass = 0; pass < 2; q = t, pass++) {
+    for (let d = 0; d < 4; d++) {
+      const u = nbr[q * 4 + d];
+      // s → t and t → s are counted on the first pass
+      if (u < 0 || (pass && u === s)) continue;
+      if (canMove(p, q, d)) mobility[tops[q]] += sign;
+      if (canMove(p, u, OPPOSITE[d])) mobility[tops[u]] += sign;
+    }
+  }
+}
+
+/* ================== Conversion ================== */
+/**
+ * Packed copy of an engine board, under `rules`. Throws on a board with more
+ * than maxBlocks blocks: its stacks could outgrow their bits.
+ */
+export function packBoard(board, rules = DEFAULT_RULES) {
+  const size = board.length;
+  const n = size * size;
+  if (countBlocks(board) > maxBlocks(size))
+    throw new Error(
+      `Cannot pack a board of more than ${maxBlocks(size)} blocks`
+    );
+  const words = Math.ceil(maxBlocks(size) / 32); // every block on one square
+  const p = {
+    size,
+    words,
+    rules,
+    hs: new Uint8Array(n),
+    tops: new Uint8Array(n),
+    bits: new Uint32Array(n * words),
+    nbr: neighbours(size),
+    mobility: new Int32Array(3),
+    saved: [],
+  };
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
+      for (const block of board[r][c]) push(p, r * size + c, colorCode(block));
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    for (let d = 0; d < 4; d++) if (canMove(p, i, d)) p.mobility[p.tops[i]]++;
+  }
+  return p;
+}
+
+/** Engine board (rows of stacks, bottom → top) of a packed board. */
+export function unpackBoard(p) {
+  const { size, words, hs, bits } = p;
+  return Array.from({ length: size }, (_, r) =>
+    Array.from({ length: size }, (_, c) => {
+      const i = r * size + c;
+      const stack = [];
+      for (let k = 0; k < hs[i]; k++) {
+        const bit = (bits[i * words + (k >> 5)] >>> (k & 31)) & 1;
+        stack.push(bit ? "B" : "R");
+      }
+      return stack;
+    })
+  );
+}
+
+/* ================== Moves ================== */
+/** Moves the top block of square s onto its neighbour t (no legality check). */
+export function makeMove(p, s, t) {
+  const { mobility } = p;
+  p.saved.push(mobility[RED], mobility[BLUE]);
+  recount(p, s, t, -1);
+  push(p, t, pop(p, s));
+  recount(p, s, t, 1);
+}
+
+/** Takes back makeMove(p, s, t), the last move not yet taken back. */
+export function unmakeMove(p, s, t) {
+  push(p, s, pop(p, t));
+  p.mobility[BLUE] = p.saved.pop();
+  p.mobility[RED] = p.saved.pop();
+}
+
+// Moves as numbers: s * 4 + d moves the top block of square s one step in
+// direction d of DIRS, onto p.nbr[s * 4 + d]
+
+/** Kind of the move numbered `m` (see classifyMove), or null if illegal. */
+export function packedKind(p, m) {
+  const i = m >> 2;
+  const j = p.nbr[m];
+  const top = p.tops[i];
+  if (j < 0 || !top) return null;
+  return classifyMove(
+    COLOR_OF[top],
+    p.hs[i],
+    p.hs[j],
+    COLOR_OF[p.tops[j]],
+    (m & 3) === BACK[top],
+    p.rules
+  );
+}
+
+/** Numbers of the moves of `color`, in the order of legalMoves. */
+export function packedMoveNumbers(p, color) {
+  const { tops } = p;
+  const code = colorCode(color);
+  const moves = [];
+  for (let i = 0; i < tops.length; i++) {
+    if (tops[i] !== code) continue;
+    for (let m = i * 4; m < i * 4 + 4; m++) if (packedKind(p, m)) moves.push(m);
+  }
+  return moves;
+}
+
+/** { src, dst, kind } of the move numbered `m`. */
+export function unpackMove(p, m) {
+  const { size } = p;
+  const i = m >> 2;
+  const j = p.nbr[m];
+  return {
+    src: [(i / size) | 0, i % size],
+    dst: [(j / size) | 0, j % size],
+    kind: packedKind(p, m),
+  };
+}
+
+/** Number of a { src, dst } move, or -1 if its squares aren't neighbours. */
+export function moveNumber(p, { src, dst }) {
+  const d = DIRS.findIndex(
+    ({ d }) => src[0] + d[0] === dst[0] && src[1] + d[1] === dst[1]
+  );
+  return d < 0 ? -1 : squareIndex(p, src) * 4 + d;
+}
+
+/** Same moves, in the same order, as legalMoves on the unpacked board. */
+export const packedMoves = (p, color) =>
+  packedMoveNumbers(p, color).map((m) => unpackMove(p, m));
+
+/** Square index of [r, c]. */
+export const squareIndex = (p, [r, c]) => r * p.size + c;
+
+/* ================== Crossings ================== */
+/** Like crossingVictory: "R", "B" or null. */
+export function packedCrossing(p) {
+  const { size, tops } = p;
+  const last = (size - 1) * size;
+  for (let c = 0; c < size; c++) {
+    if (tops[last + c] === RED) return "R";
+    if (tops[c] === BLUE) return "B";
+  }
+  return null;
+}
+
+/** Like crossingAfterMove, for a block just moved from s to t. */
+export function crossingAfter(p, s, t) {
+  const { size, tops } = p;
+  for (let q = t, pass = 0; pass < 2; q = s, pass++) {
+    const r = (q / size) | 0;
+    if (r === size - 1 && tops[q] === RED) return "R";
+    if (r === 0 && tops[q] === BLUE) return "B";
+  }
+  return null;
+}
+
+/* ================== Perft ================== */
+/**
+ * Positions `depth` plies from `color` to move, counted as legalMoves sees
+ * the game: a Crossing ends it, a side without moves is locked out, and
+ * repetition is not tracked. `p` is restored before returning.
+ */
+export function perft(p, color, depth) {
+  if (depth === 0) return 1;
+  if (packedCrossing(p)) return 0;
+  return perftFrom(p, colorCode(color), depth);
+}
+
+function perftFrom(p, code, depth) {
+  // The last ply only needs counting, and mobility already has the count
+  if (depth === 1) return p.mobility[code];
+  const { tops, nbr } = p;
+  let total = 0;
+  for (let i = 0; i < tops.length; i++) {
+    if (tops[i] !== code) continue;
+    for (let d = 0; d < 4; d++) {
+      if (!canMove(p, i, d)) continue;
+      const j = nbr[i * 4 + d];
+      makeMove(p, i, j);
+      if (!crossingAfter(p, i, j)) total += perftFrom(p, 3 - code, depth - 1);
+      unmakeMove(p, i, j);
+    }
+  }
+  return total;
+}
@@ -0,0 +1,144 @@
+// src/protocol.js
+// TURRIM engine protocol: line-based text, in the spirit of UCI, between a
+// controller (scripts/match.js) and an engine process on its stdin / stdout.
+// scripts/engine.js serves the built-in engines through it; bots in other
+// languages only need to read and write lines.
+//
+// Controller → engine:
+//   turrim                      handshake; the engine replies with its "id"
+//                               lines, then "turrimok"
+//   isready                     replied to with "readyok", also mid-search
+//   newgame                     the next position is from another game
+//   rules <size> [<rules>]      rules for "position startpos": board size and
+//                               a rules field as in position strings, left
+//                               out for the standard rules ("rules 8")
+//   position startpos [moves <m1> <m2> ...]
+//   position pos <position string> [moves <m1> <m2> ...]
+//                               the position to search; a position string
+//                               carries its own rules
+//   go [depth <n>] [movetime <ms>] [infinite]
+//                               search the position; with no limit the engine
+//                               picks its own, "infinite" runs until "stop"
+//   stop                        end the search and reply "bestmove" now
+//   quit
+// Engine → controller:
+//   id name <name>
+//   id author <author>
+//   turrimok
+//   readyok
+//   info depth <n> [best <m>]   optional progress: best move after depth n
+//   info string <text>          free text, e.g. why a command was refused
+//   bestmove <m>                "bestmove none" when there is no legal move,
+//                               or no valid position to search
+//
+// Moves are move notation (see notation.js); passes are not moves here.
+// Tokens are separated by whitespace, and either side ignores lines it does
+// not understand.
+import { DEFAULT_RULES, createGame, makeRules } from "./engine.js";
+import {
+  PASS,
+  parsePosition,
+  parseRules,
+  replayMoves,
+  rulesToText,
+} from "./notation.js";
+
+/** Line → { name, args }: the first token and the rest. */
+export function parseCommand(line) {
+  const [name = "", ...args] = String(line).trim().split(/\s+/);
+  return { name, args };
+}
+
+/* ================== Controller → engine ================== */
+export function rulesCommand(rules) {
+  const field = rulesToText(rules);
+  return `rules ${rules.size}${field ? ` ${field}` : ""}`;
+}
+
+/**
+ * "position ..." for `moveTexts` played from `start` (a position string), or
+ * from the start position of the last "rules" when `start` is null.
+ */
+export function positionCommand(moveTexts, start = null) {
+  const from = start ? `pos ${start}` : "startpos";
+  return moveTexts.length
+    ? `position ${from} moves ${moveTexts.join(" ")}`
+    : `position ${from}`;
+}
+
+/** "go ..." for { depth, movetime, infinite }, each optional. */
+export function goCommand({ depth, movetime, infinite } = {}) {
+  const parts = ["go"];
+  if (depth != null) parts.push(`depth ${depth}`);
+  if (movetime != null) parts.push(`movetime ${movetime}`);
+  if (infinite) parts.push("infinite");
+  return parts.join(" ");
+}
+
+/** Arguments of "rules" → a rule set. Throws an Error if they are bad. */
+export function parseRulesArgs([size, field, ...rest]) {
+  const n = Number(size);
+  if (!Number.isInteger(n) || rest.length)
+    throw new Error("Expected rules <size> [<rules>]");
+  return field ? parseRules(field, n) : makeRules({ size: n });
+}
+
+/**
+ * Arguments of "position" → GameState, with `rules` for "startpos". Throws
+ * an Error naming the first bad move.
+ */
+export function parsePositionArgs(args, rules = DEFAULT_RULES) {
+  const at = args.indexOf("moves");
+  const [from, ...pos] = at < 0 ? args : args.slice(0, at);
+  const moves = at < 0 ? [] : args.slice(at + 1);
+  let start;
+  if (from === "startpos" && !pos.length) start = createGame({ rules });
+  else if (from === "pos" && pos.length) start = parsePosition(pos.join(" "));
+  else throw new Error("Expected position startpos | pos <position>");
+  return playMoves(start, moves).game;
+}
+
+/** Arguments of "go" → { depth, movetime, infinite }. Throws on bad values. */
+export function parseGoArgs(args) {
+  const go = { depth: null, movetime: null, infinite: false };
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i];
+    if (key === "infinite") {
+      go.infinite = true;
+      continue;
+    }
+    if (key !== "depth" && key !== "movetime")
+      throw new Error(`Unknown go option "${key}"`);
+    const n = Number(args[++i]);
+    if (!Number.isInteger(n) || n < 1)
+      throw new Error(`go ${key}: expected a positive whole number`);
+    go[key] = n;
+  }
+  return go;
+}
+
+/* ================== Engine → controller ================== */
+/** "bestmove <m>" → "<m>", or null for any other line. */
+export function parseBestmove(line) {
+  const { name, args } = parseCommand(line);
+  return name === "bestmove" && args.length ? args[0] : null;
+}
+
+/* ================== Moves ================== */
+/**
+ * `moveTexts` played in turn from `game` → { game, moves } as in
+ * replayMoves. Throws an Error naming the first that is not a legal move.
+ */
+export function playMoves(game, moveTexts) {
+  const pass = moveTexts.indexOf(PASS);
+  const res = replayMoves(
+    pass < 0 ? moveTexts : moveTexts.slice(0, pass),
+    game
+  );
+  if (res.error)
+    throw new Error(
+      `Move ${res.error.ply} (${res.error.text}): ${res.error.reason}`
+    );
+  if (pass >= 0) throw new Error(`Move ${pass + 1} (${PASS}): not a move`);
+  return { game: res.game, moves: res.moves };
+}
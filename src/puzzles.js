@@ -0,0 +1,95 @@
+// src/puzzles.js
+// "Win in N" puzzles: the side to move has exactly one first move that
+// forces a Crossing or Lockout within N of its own moves, whatever the other
+// side does. Headless, so scripts/puzzles.js can mine packs in Node.
+//
+// A pack is JSON: { name, puzzles: [{ id, position, moves, solution }] }
+// `position` is a position string (see notation.js), `moves` is N and
+// `solution` the winning first move in move notation.
+import { forcedWin } from "./ai.js";
+import {
+  moveToText,
+  parseMoveText,
+  parsePosition,
+  positionToString,
+} from "./notation.js";
+
+// Longest puzzles a pack may hold; deeper checks get slow in the browser
+export const MAX_PUZZLE_MOVES = 4;
+
+/** First moves for the side to move that win within `n` of its own moves. */
+export function winningMoves(game, n) {
+  const mover = game.toMove;
+  return game.legalMoves().filter((m) => {
+    const next = game.play(m);
+    const res = next.result();
+    if (res) return res.winner === mover;
+    // The other side replies, then `mover` has n - 1 moves left
+    return (
+      n > 1 &&
+      forcedWin(next.board, next.toMove, mover, 2 * n - 1, {
+        bounce: next.bounce,
+        rules: next.rules,
+      })
+    );
+  });
+}
+
+/**
+ * { moves, solution } if `game` is a win in N for the side to move, N from
+ * `minMoves` to `maxMoves`, with exactly one winning first move at the
+ * shortest N. Otherwise null.
+ */
+export function findPuzzle(game, { minMoves = 1, maxMoves = 2 } = {}) {
+  if (game.result()) return null;
+  for (let n = 1; n <= maxMoves; n++) {
+    const wins = winningMoves(game, n);
+    if (!wins.length) continue;
+    if (wins.length > 1 || n < minMoves) return null;
+    return { moves: n, solution: wins[0] };
+  }
+  return null;
+}
+
+/** Pack entry for a puzzle found by findPuzzle. */
+export const puzzleEntry = (id, game, { moves, solution }) => ({
+  id,
+  position: positionToString(game),
+  moves,
+  solution: moveToText(solution, game.board.length),
+});
+
+/**
+ * Checks a pack (JSON text or parsed) and returns { name, puzzles } where
+ * each puzzle also has `game` (the start) and `move` (the solution, with its
+ * kind). Throws an Error naming the first bad puzzle.
+ */
+export function readPack(data) {
+  const pack = typeof data === "string" ? JSON.parse(data) : data;
+  if (!pack || !Array.isArray(pack.puzzles) || !pack.puzzles.length)
+    throw new Error("Not a puzzle pack (no puzzles)");
+  const ids = new Set();
+  const puzzles = pack.puzzles.map((p, i) => {
+    const where = `Puzzle ${p?.id ?? i + 1}`;
+    if (!p || typeof p.id !== "string" || ids.has(p.id))
+      throw new Error(`${where}: missing or repeated id`);
+    ids.add(p.id);
+    if (!Number.isInteger(p.moves) || p.moves < 1 || p.moves > MAX_PUZZLE_MOVES)
+      throw new Error(`${where}: moves must be 1–${MAX_PUZZLE_MOVES}`);
+    let game;
+    try {
+      game = parsePosition(p.position);
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+    if (game.result()) throw new Error(`${where}: position is already over`);
+    const mv = parseMoveText(String(p.solution), game.board.length);
+    const move =
+      mv && game.legalMoves().find((m) => moveText(m) === moveText(mv));
+    if (!move) throw new Error(`${where}: solution is not a legal move`);
+    return { ...p, game, move };
+  });
+  return { name: String(pack.name || "Puzzles"), puzzles };
+}
+
+const moveText = (m) => `${m.src}-${m.dst}`;
@@ -0,0 +1,137 @@
+// src/saves.js
+// Games and preferences kept in localStorage: the autosave of the game in
+// progress, named save slots, and view / setup preferences.
+//
+// A saved game keeps its start position and every move of its line (the redo
+// line too) in notation, and is replayed on load; `position` is where it
+// stood, bounce state included, and must match the replay. Results the
+// moves don't give (resignations, timeouts, agreed draws) are kept in
+// `ended` as [{ ply, result }].
+import {
+  moveToText,
+  parsePosition,
+  positionToString,
+  replayMoves,
+} from "./notation.js";
+import { NO_CLOCK } from "./clock.js";
+
+const AUTOSAVE_KEY = "turrim.autosave";
+const SLOTS_KEY = "turrim.saves";
+const PREFS_KEY = "turrim.prefs";
+const VERSION = 1;
+
+function read(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+function write(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false; // storage full or blocked
+  }
+}
+
+/**
+ * Plain data for a game line (see App) and its settings: { mode, humanColor,
+ * aiLevel, allowAssist, timeControl }.
+ */
+export function serializeGame(line, settings) {
+  const start = line.snapshots[0].game;
+  const size = start.board.length;
+  return {
+    version: VERSION,
+    savedAt: Date.now(),
+    ...settings,
+    start: positionToString(start),
+    moves: line.snapshots.slice(1).map((s) => moveToText(s.move, size)),
+    clocks: line.snapshots.map((s) => s.clock || null),
+    ply: line.ply,
+    position: positionToString(line.snapshots[line.ply].game),
+    ended: line.snapshots.flatMap(({ game }, ply) =>
+      game.ended ? [{ ply, result: game.ended }] : []
+    ),
+  };
+}
+
+/**
+ * { line, mode, humanColor, aiLevel, allowAssist, timeControl } from
+ * serializeGame data. Throws an Error if it does not replay.
+ */
+export function deserializeGame(data) {
+  if (!data || data.version !== VERSION || !Array.isArray(data.moves))
+    throw new Error("Not a saved game");
+  const res = replayMoves(data.moves, parsePosition(data.start));
+  if (res.error)
+    throw new Error(
+      `Ply ${res.error.ply} (${res.error.text}): ${res.error.reason}`
+    );
+  const games = [...res.states, res.game];
+  for (const { ply, result } of data.ended || []) {
+    if (!games[ply]) throw new Error("Saved result is not at a saved ply");
+    games[ply] = games[ply].end(result);
+  }
+  const ply = Number.isInteger(data.ply)
+    ? Math.min(Math.max(data.ply, 0), res.moves.length)
+    : res.moves.length;
+  if (positionToString(games[ply]) !== data.position)
+    throw new Error("Saved position does not match its moves");
+  const line = {
+    snapshots: games.map((game, i) => {
+      const snap = { game, move: i ? res.moves[i - 1] : null };
+      if (data.clocks?.[i]) snap.clock = data.clocks[i];
+      return snap;
+    }),
+    ply,
+  };
+  return {
+    line,
+    mode: data.mode === "AI" ? "AI" : "HUMAN",
+    humanColor: data.humanColor === "B" ? "B" : "R",
+    aiLevel: data.aiLevel,
+    allowAssist: !!data.allowAssist,
+    timeControl: data.timeControl || NO_CLOCK,
+  };
+}
+
+/* ================== Autosave ================== */
+export const loadAutosave = () => read(AUTOSAVE_KEY);
+export const autosave = (data) => write(AUTOSAVE_KEY, data);
+
+/* ================== Save slots ================== */
+/** Saved games as [{ name, data }], most recent first. */
+export function listSaves() {
+  const slots = read(SLOTS_KEY);
+  if (!slots || typeof slots !== "object") return [];
+  return Object.entries(slots)
+    .map(([name, data]) => ({ name, data }))
+    .sort((a, b) => (b.data?.savedAt || 0) - (a.data?.savedAt || 0));
+}
+/** Saves under `name`, replacing a save of that name. False if it failed. */
+export function saveSlot(name, data) {
+  const slots = read(SLOTS_KEY) || {};
+  return write(SLOTS_KEY, { ...slots, [name]: data });
+}
+export function deleteSlot(name) {
+  const slots = { ...read(SLOTS_KEY) };
+  delete slots[name];
+  write(SLOTS_KEY, slots);
+}
+
+/** One-line description of a save: "Human vs Computer · 24 plies · 3 May". */
+export function describeSave(data) {
+  const mode = data.mode === "AI" ? "Human vs Computer" : "Human vs Human";
+  const date = new Date(data.savedAt || 0).toLocaleDateString(undefined, {
+    day: "numeric",
+    month: "short",
+  });
+  return `${mode} · ${data.ply ?? data.moves?.length ?? 0} plies · ${date}`;
+}
+
+/* ================== Preferences ================== */
+export const loadPrefs = () => read(PREFS_KEY) || {};
+export const savePrefs = (prefs) => write(PREFS_KEY, prefs);
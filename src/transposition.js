@@ -0,0 +1,190 @@
+// src/transposition.js
+// Zobrist hashing and a transposition table for the minimax search.
+//
+// A position hash is two 32-bit halves { lo, hi }: `lo` picks the table slot,
+// `hi` confirms the hit. Every block contributes a key for (square, level in
+// the stack, colour), so stacks with the same top but different contents
+// hash differently. Moving a block only touches two keys, so hashes are
+// updated incrementally instead of rescanning the board. Keys cover the
+// largest board any rule set allows, so one table serves every size.
+import { DIRS, MAX_SIZE, countBlocks, maxBlocks } from "./engine.js";
+
+// Levels per square: every block on one square. createGame refuses boards
+// with more blocks, so no level reaches the next square's keys.
+const MAX_LEVEL = maxBlocks(MAX_SIZE);
+
+// Seeded generator so hashes are identical in every worker and run
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return (t ^ (t >>> 14)) | 0;
+  };
+}
+
+const rand = mulberry32(0x74757272);
+const KEYS_LO = new Int32Array(MAX_SIZE * MAX_SIZE * MAX_LEVEL * 2).map(() =>
+  rand()
+);
+const KEYS_HI = new Int32Array(MAX_SIZE * MAX_SIZE * MAX_LEVEL * 2).map(() =>
+  rand()
+);
+const SIDE_LO = rand();
+const SIDE_HI = rand();
+
+const keyIndex = (r, c, level, color) =>
+  ((r * MAX_SIZE + c) * MAX_LEVEL + level) * 2 + (color === "R" ? 0 : 1);
+
+/** Full hash of a position (board + side to move). */
+export function hashPosition(board, toMove) {
+  if (countBlocks(board) > MAX_LEVEL)
+    throw new Error(`Cannot hash a board of more than ${MAX_LEVEL} blocks`);
+  let lo = 0;
+  let hi = 0;
+  for (let r = 0; r < board.length; r++) {
+    for (let c = 0; c < board.length; c++) {
+      const stack = board[r][c];
+      for (let level = 0; level < stack.length; level++) {
+        const k = keyIndex(r, c, level, stack[level]);
+        lo ^= KEYS_LO[k];
+        hi ^= KEYS_HI[k];
+      }
+    }
+  }
+  if (toMove === "B") {
+    lo ^= SIDE_LO;
+    hi ^= SIDE_HI;
+  }
+  return { lo, hi };
+}
+
+/**
+ * Hash after `color` moves its block from level `fromLevel` of move.src to
+ * level `toLevel` of move.dst (the heights before the move).
+ */
+export function hashAfterMove(hash, move, color, fromLevel, toLevel) {
+  const from = keyIndex(move.src[0], move.src[1], fromLevel, color);
+  const to = keyIndex(move.dst[0], move.dst[1], toLevel, color);
+  return {
+    lo: hash.lo ^ KEYS_LO[from] ^ KEYS_LO[to] ^ SIDE_LO,
+    hi: hash.hi ^ KEYS_HI[from] ^ KEYS_HI[to] ^ SIDE_HI,
+  };
+}
+
+/* ================== Repetition state ================== */
+// Search results depend on bounce counters too, so each player's bounce
+// state ({ endpoints, lastDir, pairs }) contributes one key. Keys are derived
+// from the state itself, so every thread agrees on them.
+const NO_KEY = { lo: 0, hi: 0 };
+const bounceKeys = new Map();
+
+function stringSeed(text) {
+  let h = 0x811c9dc5; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h;
+}
+
+// Looked up by endpoints, then by player, direction and pairs, so the search
+// builds no strings for it
+function bounceKey(player, b) {
+  if (!b || !b.endpoints) return NO_KEY;
+  let keys = bounceKeys.get(b.endpoints);
+  if (!keys) bounceKeys.set(b.endpoints, (keys = []));
+  const slot = b.pairs * 4 + (player === "R" ? 0 : 2) + (b.lastDir > 0 ? 1 : 0);
+  let key = keys[slot];
+  if (!key) {
+    const id = `${player}|${b.endpoints}|${b.lastDir}|${b.pairs}`;
+    const next = mulberry32(stringSeed(id));
+    key = keys[slot] = { lo: next(), hi: next() };
+  }
+  return key;
+}
+
+/** Hash with both players' bounce state folded in. */
+export function hashWithBounce(hash, bounce) {
+  const r = bounceKey("R", bounce.R);
+  const b = bounceKey("B", bounce.B);
+  return { lo: hash.lo ^ r.lo ^ b.lo, hi: hash.hi ^ r.hi ^ b.hi };
+}
+
+/** Swap `player`'s bounce key from `before` to `after`. */
+export function rehashBounce(hash, player, before, after) {
+  const x = bounceKey(player, before);
+  const y = bounceKey(player, after);
+  return { lo: hash.lo ^ x.lo ^ y.lo, hi: hash.hi ^ x.hi ^ y.hi };
+}
+
+/* ================== Transposition table ================== */
+export const EXACT = 1;
+export const LOWER = 2; // true score >= stored score
+export const UPPER = 3; // true score <= stored score
+
+// Moves are stored as (source square × direction) + 1; 0 = no move
+const encodeMove = (m) => {
+  const dir = DIRS.findIndex(
+    ({ d }) => m.src[0] + d[0] === m.dst[0] && m.src[1] + d[1] === m.dst[1]
+  );
+  return (m.src[0] * MAX_SIZE + m.src[1]) * 4 + dir + 1;
+};
+const decodeMove = (code) => {
+  const sq = (code - 1) >> 2;
+  const { d } = DIRS[(code - 1) & 3];
+  const src = [Math.floor(sq / MAX_SIZE), sq % MAX_SIZE];
+  return { src, dst: [src[0] + d[0], src[1] + d[1]] };
+};
+
+/**
+ * Fixed-size table (2^bits slots), one entry per slot. A slot is replaced
+ * when the new entry is at least as deep or the old one is from an earlier
+ * search (see `newSearch`).
+ */
+export function createTable(bits = 18) {
+  const size = 1 << bits;
+  const mask = size - 1;
+  const hi = new Int32Array(size);
+  const depth = new Int8Array(size);
+  const flag = new Int8Array(size); // 0 = empty
+  const score = new Float64Array(size);
+  const move = new Int32Array(size);
+  const age = new Uint8Array(size);
+  let generation = 0;
+
+  return {
+    /** Call once per root search so stale entries become replaceable. */
+    newSearch() {
+      generation = (generation + 1) & 0xff;
+    },
+
+    /** { depth, flag, score, move } or null. `move` has no `kind`. */
+    probe(hash) {
+      const i = hash.lo & mask;
+      if (!flag[i] || hi[i] !== hash.hi) return null;
+      return {
+        depth: depth[i],
+        flag: flag[i],
+        score: score[i],
+        move: move[i] ? decodeMove(move[i]) : null,
+      };
+    },
+
+    store(hash, d, f, s, m) {
+      const i = hash.lo & mask;
+      if (flag[i] && age[i] === generation && depth[i] > d) return;
+      hi[i] = hash.hi;
+      depth[i] = d;
+      flag[i] = f;
+      score[i] = s;
+      move[i] = m ? encodeMove(m) : 0;
+      age[i] = generation;
+    },
+
+    clear() {
+      flag.fill(0);
+    },
+  };
+}
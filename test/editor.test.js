@@ -0,0 +1,20 @@
+// test/editor.test.js
+// Board editor operations of src/editor.js.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countBlocks, createGame, maxBlocks } from "../src/engine.js";
+import { emptyBoard, popBlock, pushBlock } from "../src/editor.js";
+
+test("the editor stops adding blocks when the board holds maxBlocks", () => {
+  const size = 4;
+  let board = emptyBoard(size);
+  for (let k = 0; k < maxBlocks(size); k++)
+    board = pushBlock(board, k % 2, 0, k % 3 ? "R" : "B");
+  assert.equal(countBlocks(board), 16);
+  assert.equal(pushBlock(board, 3, 3, "R"), board);
+  assert.equal(pushBlock(board, 0, 0, "B"), board);
+  // A full board is still a position a game can start from
+  assert.doesNotThrow(() => createGame({ rules: { size }, board }));
+  board = popBlock(board, 0, 0);
+  assert.equal(countBlocks(pushBlock(board, 3, 3, "R")), 16);
+});
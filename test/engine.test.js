@@ -0,0 +1,146 @@
+// test/engine.test.js
+// Rules of src/engine.js: repetition losses and the optional draws.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_RULES,
+  createGame,
+  makeRules,
+  restoreGame,
+} from "../src/engine.js";
+import { replayMoves } from "../src/notation.js";
+
+// Each side shuffles a back-row block across and back, with a different
+// block in the second half, so the start position returns after plies 4
+// and 8 without tripping the same-piece bounce rule.
+const CYCLE = "A8-B8 A1-B1 B8-A8v B1-A1v C8-D8 C1-D1 D8-C8v D1-C1v".split(" ");
+
+const replay = (moves, rules) => {
+  const res = replayMoves(moves, createGame({ rules }));
+  assert.equal(res.error, null);
+  return res;
+};
+
+test("the draw rules are off in the standard rules", () => {
+  assert.equal(DEFAULT_RULES.drawRepeats, 0);
+  assert.equal(DEFAULT_RULES.moveLimit, 0);
+  const { game } = replay([...CYCLE, ...CYCLE]);
+  assert.equal(game.repeats, 5);
+  assert.equal(game.result(), null);
+});
+
+test("a position reached drawRepeats times is a draw", () => {
+  const { game, states } = replay(CYCLE, { drawRepeats: 3 });
+  assert.equal(states[4].repeats, 2);
+  assert.equal(states[4].result(), null);
+  assert.equal(game.repeats, 3);
+  assert.deepEqual(game.result(), {
+    mode: "Draw",
+    winner: null,
+    reason: "Repetition",
+  });
+  assert.deepEqual(game.legalMoves(), []);
+});
+
+test("repeat counts follow the line a state was played from", () => {
+  const { states } = replay(CYCLE, { drawRepeats: 3 });
+  // A different move from ply 4 leaves the first line's counts alone
+  const other = replayMoves(["E8-F8"], states[4]).game;
+  assert.equal(other.repeats, 1);
+  assert.equal(states[5].repeats, 1);
+  // and the same moves again reach the draw again
+  const again = replayMoves(CYCLE.slice(4), states[4]).game;
+  assert.equal(again.result()?.reason, "Repetition");
+});
+
+test("repeat counts survive toJSON and restoreGame", () => {
+  const { states } = replay(CYCLE, { drawRepeats: 3 });
+  const restored = restoreGame(JSON.stringify(states[7]));
+  assert.equal(restored.repeats, 1);
+  const last = restored.play({ src: [7, 3], dst: [7, 2] });
+  assert.equal(last.result()?.reason, "Repetition");
+});
+
+test("moveLimit plies without progress is a draw", () => {
+  // The first Across builds the tallest stack yet; nothing after it does
+  const { game } = replay([...CYCLE, "E8-F8", "E1-F1", "G8-H8"], {
+    moveLimit: 10,
+  });
+  assert.equal(game.quiet, 10);
+  assert.deepEqual(game.result(), {
+    mode: "Draw",
+    winner: null,
+    reason: "MoveLimit",
+  });
+});
+
+test("blocks stepping forward and back reach the move limit", () => {
+  // Two blocks a side, each stepping forward onto an empty square and back
+  const board = Array.from({ length: 8 }, () =>
+    Array.from({ length: 8 }, () => [])
+  );
+  board[2][0] = board[2][2] = ["R"];
+  board[5][0] = board[5][2] = ["B"];
+  const start = createGame({ board, rules: { moveLimit: 10 } });
+  const shuffle = "A6-A5 A3-A4 A5-A6 A4-A3 C6-C5 C3-C4 C5-C6 C4-C3".split(" ");
+  const res = replayMoves([...shuffle, ...shuffle.slice(0, 2)], start);
+  assert.equal(res.error, null);
+  assert.equal(res.game.quiet, 10);
+  assert.equal(res.game.result()?.reason, "MoveLimit");
+});
+
+test("a Cross or a new tallest stack resets the move limit", () => {
+  const rules = { moveLimit: 10 };
+  const crossed = replay(["A6-A5", "H1-G1", "A5-A4x"], rules);
+  assert.deepEqual(
+    [...crossed.states.slice(1), crossed.game].map((s) => s.quiet),
+    [0, 1, 0]
+  );
+  // Stepping off a stack and building it again is not new
+  const { game } = replay(CYCLE.slice(0, 4), rules);
+  assert.equal(game.tallest, 2);
+  const again = restoreGame(JSON.stringify(game)).play({
+    src: [0, 0],
+    dst: [0, 1],
+  });
+  assert.equal(again.quiet, game.quiet + 1);
+});
+
+test("an agreed draw ends the game", () => {
+  const game = createGame().agreeDraw();
+  assert.equal(game.ended.reason, "Agreement");
+  assert.deepEqual(game.result(), {
+    mode: "Draw",
+    winner: null,
+    reason: "Agreement",
+  });
+  assert.throws(() => game.play({ src: [3, 0], dst: [4, 0] }), /already over/);
+  assert.throws(() => game.agreeDraw(), /already over/);
+});
+
+test("the same piece bouncing repetitionLimit pairs loses", () => {
+  const moves = "A8-B8 A1-B1 B8-A8v B1-A1v A8-B8 H1-G1".split(" ");
+  const { game } = replay(moves);
+  assert.equal(game.bounce.R.pairs, 2);
+  assert.equal(game.result(), null);
+  const lost = replay([...moves, "B8-A8v"]).game;
+  assert.equal(lost.bounce.R.pairs, 3);
+  assert.deepEqual(lost.result(), { mode: "Repetition", winner: "B" });
+});
+
+test("makeRules rejects out-of-range draw rules", () => {
+  assert.throws(() => makeRules({ drawRepeats: 1 }), /drawRepeats/);
+  assert.throws(() => makeRules({ drawRepeats: 6 }), /drawRepeats/);
+  assert.throws(() => makeRules({ moveLimit: 5 }), /moveLimit/);
+  assert.equal(makeRules({ moveLimit: 10 }).moveLimit, 10);
+});
+
+test("players can end a game by resignation or timeout", () => {
+  const resigned = createGame().end({ mode: "Resignation", winner: "B" });
+  assert.deepEqual(resigned.result(), { mode: "Resignation", winner: "B" });
+  assert.deepEqual(resigned.legalMoves(), []);
+  const restored = restoreGame(JSON.stringify(resigned));
+  assert.deepEqual(restored.result(), { mode: "Resignation", winner: "B" });
+  assert.throws(() => createGame().end({ mode: "Crossing", winner: "R" }));
+  assert.throws(() => createGame().end({ mode: "Timeout", winner: null }));
+});
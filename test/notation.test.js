@@ -0,0 +1,60 @@
+// test/notation.test.js
+// Position strings, the rules field and result tokens of src/notation.js.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RULE_PRESETS,
+  createGame,
+  makeRules,
+  sameRules,
+} from "../src/engine.js";
+import {
+  INITIAL_POSITION,
+  parsePosition,
+  parseRecord,
+  parseRules,
+  positionToString,
+  resultToken,
+  rulesToText,
+} from "../src/notation.js";
+
+test("the standard rules have no rules field", () => {
+  assert.equal(rulesToText(createGame().rules), null);
+  assert.equal(INITIAL_POSITION.split(" ").length, 4);
+});
+
+test("rules fields round-trip", () => {
+  const variants = [
+    ...RULE_PRESETS.map((p) => p.rules),
+    { ...RULE_PRESETS[0].rules, drawRepeats: 3 },
+    { ...RULE_PRESETS[0].rules, moveLimit: 100, climb: true },
+  ];
+  for (const rules of variants) {
+    const text = rulesToText(rules);
+    const back = text
+      ? parseRules(text, rules.size)
+      : makeRules({ size: rules.size });
+    assert.ok(sameRules(back, rules), text);
+  }
+  assert.equal(
+    rulesToText({ ...RULE_PRESETS[0].rules, drawRepeats: 3, moveLimit: 50 }),
+    "d2,x1-2,r3,p3,m50"
+  );
+  assert.throws(() => parseRules("q1", 8), /Invalid rules field/);
+});
+
+test("position strings carry the rules", () => {
+  const game = createGame({ rules: { size: 6, drawRepeats: 2 } });
+  const back = parsePosition(positionToString(game));
+  assert.ok(sameRules(back.rules, game.rules));
+  assert.equal(positionToString(back), positionToString(game));
+});
+
+test("result tokens", () => {
+  assert.equal(resultToken(null), "*");
+  assert.equal(resultToken({ mode: "Crossing", winner: "R" }), "1-0");
+  assert.equal(resultToken({ mode: "Lockout", winner: "B" }), "0-1");
+  assert.equal(resultToken({ mode: "Draw", winner: null }), "1/2-1/2");
+  const { moves } = parseRecord('[Result "1/2-1/2"]\n\n1. A8-B8 1/2-1/2\n');
+  assert.deepEqual(moves, ["A8-B8"]);
+});
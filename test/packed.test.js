@@ -0,0 +1,80 @@
+// test/packed.test.js
+// The packed search board (src/packed.js) against the engine board.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  applyMove,
+  cloneBoard,
+  countLegalMoves,
+  createGame,
+  legalMoves,
+  moveKey,
+} from "../src/engine.js";
+import {
+  BLUE,
+  RED,
+  makeMove,
+  packBoard,
+  packedMoves,
+  perft,
+  squareIndex,
+  unmakeMove,
+  unpackBoard,
+} from "../src/packed.js";
+
+const keys = (moves) => moves.map((m) => `${moveKey(m)}${m.kind}`);
+
+test("perft counts from the standard start", () => {
+  const p = packBoard(createGame().board);
+  assert.deepEqual(
+    [1, 2, 3].map((d) => perft(p, "R", d)),
+    [80, 6414, 496942]
+  );
+});
+
+test("make and unmake keep moves and mobility in step", () => {
+  const { board, rules } = createGame({ rules: { size: 6, climb: true } });
+  const p = packBoard(board, rules);
+  const before = JSON.stringify(unpackBoard(p));
+  for (const m of legalMoves(board, "R", rules)) {
+    const [s, t] = [squareIndex(p, m.src), squareIndex(p, m.dst)];
+    makeMove(p, s, t);
+    const nb = applyMove(board, m);
+    assert.deepEqual(unpackBoard(p), nb);
+    assert.deepEqual(
+      keys(packedMoves(p, "B")),
+      keys(legalMoves(nb, "B", rules))
+    );
+    assert.equal(p.mobility[RED], countLegalMoves(nb, "R", rules));
+    assert.equal(p.mobility[BLUE], countLegalMoves(nb, "B", rules));
+    unmakeMove(p, s, t);
+    assert.equal(JSON.stringify(unpackBoard(p)), before);
+  }
+});
+
+test("a stack of every block on the board keeps its contents", () => {
+  // 63 mixed blocks on C3 and one Red block beside it on D3: moving that one
+  // on top fills the second word of bits
+  const size = 8;
+  const board = Array.from({ length: size }, () =>
+    Array.from({ length: size }, () => [])
+  );
+  board[2][2] = Array.from({ length: 63 }, (_, k) => (k % 3 ? "R" : "B"));
+  board[2][3] = ["R"];
+  const p = packBoard(board);
+  const s = squareIndex(p, [2, 3]);
+  const t = squareIndex(p, [2, 2]);
+  makeMove(p, s, t);
+  const after = applyMove(board, { src: [2, 3], dst: [2, 2] });
+  assert.deepEqual(unpackBoard(p), after);
+  unmakeMove(p, s, t);
+  assert.deepEqual(unpackBoard(p), board);
+});
+
+test("boards with more blocks than squares are refused", () => {
+  const board = cloneBoard(createGame().board);
+  board[2][2] = Array(64).fill("R");
+  board[2][3] = Array(64).fill("B");
+  assert.throws(() => packBoard(board), /more than 64 blocks/);
+  assert.throws(() => createGame({ board }), /more than 64 blocks/);
+});
@@ -0,0 +1,134 @@
+// test/relay.test.js
+// server/relay.js message handling, against a relay started on its own port.
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import WebSocket from "ws";
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+let relay;
+
+before(async () => {
+  relay = spawn(process.execPath, ["server/relay.js"], {
+    env: { ...process.env, PORT: String(PORT), HOST: "127.0.0.1" },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    relay.stdout.on(
+      "data",
+      (d) => String(d).includes("listening") && resolve()
+    );
+    relay.on("exit", () => reject(new Error("relay exited")));
+  });
+});
+after(() => relay.kill());
+
+// Client whose messages queue up until next(test) takes the first match
+function connect() {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${PORT}`);
+    const queue = [];
+    let wake = null;
+    socket.on("message", (data) => {
+      queue.push(JSON.parse(data));
+      wake?.();
+    });
+    socket.on("error", reject);
+    socket.on("open", () =>
+      resolve({
+        send: (msg) => socket.send(JSON.stringify(msg)),
+        close: () => socket.close(),
+        async next(match = () => true) {
+          for (;;) {
+            const i = queue.findIndex(match);
+            if (i >= 0) return queue.splice(i, 1)[0];
+            await new Promise((r) => (wake = r));
+          }
+        },
+      })
+    );
+  });
+}
+const ofType = (type) => (m) => m.type === type;
+
+// Red and Blue seated in a new room, with their first states read
+async function seatedPair() {
+  const red = await connect();
+  red.send({ type: "create", color: "R" });
+  const { room } = await red.next(ofType("joined"));
+  const blue = await connect();
+  blue.send({ type: "join", room });
+  assert.equal((await blue.next(ofType("joined"))).color, "B");
+  await blue.next(ofType("state"));
+  return { red, blue, room };
+}
+const closeAll = (...clients) => clients.forEach((c) => c.close());
+
+test(
+  "moves are checked before they are relayed",
+  { timeout: 5000 },
+  async () => {
+    const { red, blue } = await seatedPair();
+    blue.send({ type: "move", move: { src: [4, 0], dst: [3, 0] } });
+    assert.equal((await blue.next(ofType("error"))).message, "Not your turn");
+    red.send({ type: "move", move: { src: [3, 0], dst: [4, 0] } });
+    assert.equal((await red.next(ofType("error"))).message, "Illegal move");
+    red.send({ type: "move", move: { src: "A5", dst: [3, 1] } });
+    assert.equal((await red.next(ofType("error"))).message, "Malformed move");
+    red.send({ type: "move", move: { src: [2, 0], dst: [3, 0] } });
+    const state = await blue.next((m) => m.type === "state" && m.moves.length);
+    assert.deepEqual(state.moves, ["A6-A5"]);
+    closeAll(red, blue);
+  }
+);
+
+test("a failed join gives up the old seat", { timeout: 5000 }, async () => {
+  const { red, blue } = await seatedPair();
+  red.send({ type: "join", room: "ZZZZZ" });
+  assert.equal((await red.next(ofType("error"))).message, "No room ZZZZZ");
+  red.send({ type: "resign" });
+  assert.equal((await red.next(ofType("error"))).message, "Join a room first");
+  red.send({ type: "move", move: { src: [2, 0], dst: [3, 0] } });
+  assert.equal((await red.next(ofType("error"))).message, "Join a room first");
+  const state = await blue.next((m) => m.type === "state" && !m.players.R);
+  assert.equal(state.result, null);
+  closeAll(red, blue);
+});
+
+test(
+  "resigning ends the game for the opponent",
+  { timeout: 5000 },
+  async () => {
+    const { red, blue } = await seatedPair();
+    blue.send({ type: "resign" });
+    const state = await red.next((m) => m.type === "state" && m.result);
+    assert.deepEqual(state.result, { mode: "Resignation", winner: "R" });
+    blue.send({ type: "move", move: { src: [4, 0], dst: [3, 0] } });
+    assert.equal((await blue.next(ofType("error"))).message, "Game is over");
+    closeAll(red, blue);
+  }
+);
+
+test(
+  "a draw offer lapses when the opponent moves, and can be accepted",
+  { timeout: 5000 },
+  async () => {
+    const { red, blue } = await seatedPair();
+    blue.send({ type: "draw" });
+    await red.next((m) => m.drawOffer === "B");
+    red.send({ type: "move", move: { src: [2, 0], dst: [3, 0] } });
+    const moved = await blue.next((m) => m.type === "state" && m.moves.length);
+    assert.equal(moved.drawOffer, null);
+
+    red.send({ type: "draw" });
+    await blue.next((m) => m.drawOffer === "R");
+    blue.send({ type: "draw" });
+    const state = await red.next((m) => m.type === "state" && m.result);
+    assert.deepEqual(state.result, {
+      mode: "Draw",
+      winner: null,
+      reason: "Agreement",
+    });
+    closeAll(red, blue);
+  }
+);
@@ -0,0 +1,81 @@
+// test/saves.test.js
+// Saved games (src/saves.js) and records (src/notation.js) keep how a game
+// ended, and records keep the time control.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGame } from "../src/engine.js";
+import { describeTimeControl, parseTimeControl } from "../src/clock.js";
+import {
+  parseRecord,
+  recordEnding,
+  replayMoves,
+  resultToken,
+} from "../src/notation.js";
+import { deserializeGame, serializeGame } from "../src/saves.js";
+
+const SETTINGS = {
+  mode: "HUMAN",
+  humanColor: "R",
+  aiLevel: "GREEDY",
+  allowAssist: false,
+  timeControl: { type: "fischer", baseMs: 300000, incMs: 3000 },
+};
+
+// Line as the app keeps it, ended by `result` at its last ply if given
+function endedLine(moves, result = null) {
+  const res = replayMoves(moves, createGame());
+  const games = [...res.states, result ? res.game.end(result) : res.game];
+  return {
+    snapshots: games.map((game, i) => ({
+      game,
+      move: i ? res.moves[i - 1] : null,
+    })),
+    ply: res.moves.length,
+  };
+}
+
+test("saved games keep results the moves don't give", () => {
+  for (const result of [
+    { mode: "Draw", winner: null, reason: "Agreement" },
+    { mode: "Resignation", winner: "R" },
+    { mode: "Timeout", winner: "B" },
+  ]) {
+    const line = endedLine(["A8-B8", "A1-B1"], result);
+    const data = JSON.parse(JSON.stringify(serializeGame(line, SETTINGS)));
+    const saved = deserializeGame(data);
+    assert.deepEqual(saved.line.snapshots[2].game.result(), result);
+    assert.equal(saved.line.snapshots[1].game.result(), null);
+    assert.deepEqual(saved.timeControl, SETTINGS.timeControl);
+  }
+});
+
+test("saved games without an ending stay open", () => {
+  const saved = deserializeGame(serializeGame(endedLine(["A8-B8"]), SETTINGS));
+  assert.equal(saved.line.snapshots[1].game.result(), null);
+});
+
+test("record headers give back the ending", () => {
+  const headers = (result) => ({
+    Result: resultToken(result),
+    Termination: result.reason || result.mode,
+  });
+  for (const result of [
+    { mode: "Draw", winner: null, reason: "Agreement" },
+    { mode: "Resignation", winner: "B" },
+    { mode: "Timeout", winner: "R" },
+  ])
+    assert.deepEqual(recordEnding(headers(result)), result);
+  assert.equal(recordEnding(headers({ mode: "Crossing", winner: "R" })), null);
+  assert.equal(recordEnding(parseRecord("1. A8-B8 *\n").headers), null);
+});
+
+test("time controls round-trip through their record label", () => {
+  for (const tc of [
+    { type: "none" },
+    { type: "sudden", baseMs: 600000 },
+    { type: "fischer", baseMs: 90000, incMs: 2000 },
+    { type: "byoyomi", baseMs: 300000, periodMs: 30000, periods: 3 },
+  ])
+    assert.deepEqual(parseTimeControl(describeTimeControl(tc)), tc);
+  assert.deepEqual(parseTimeControl(undefined), { type: "none" });
+});
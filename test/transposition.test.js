@@ -0,0 +1,27 @@
+// test/transposition.test.js
+// Zobrist hashes of src/transposition.js.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MAX_SIZE, applyMove, maxBlocks } from "../src/engine.js";
+import { hashAfterMove, hashPosition } from "../src/transposition.js";
+
+const emptyBoard = (size) =>
+  Array.from({ length: size }, () => Array.from({ length: size }, () => []));
+
+test("moves onto the tallest stack hash like the position they reach", () => {
+  // Every block of the largest board but one on A1, the last one beside it
+  const board = emptyBoard(MAX_SIZE);
+  board[0][0] = Array(maxBlocks(MAX_SIZE) - 1).fill("B");
+  board[0][1] = ["B"];
+  const move = { src: [0, 1], dst: [0, 0] };
+  const next = applyMove(board, move);
+  const top = maxBlocks(MAX_SIZE) - 1;
+  const hash = hashAfterMove(hashPosition(board, "B"), move, "B", 0, top);
+  assert.deepEqual(hash, hashPosition(next, "R"));
+});
+
+test("boards with more blocks than the keys cover are refused", () => {
+  const board = emptyBoard(MAX_SIZE);
+  board[0][0] = Array(maxBlocks(MAX_SIZE) + 1).fill("R");
+  assert.throws(() => hashPosition(board, "R"), /more than 144 blocks/);
+});